@@ -11,6 +11,23 @@ import { PDFDocument } from 'pdf-lib';
 import { toast, ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import { io } from 'socket.io-client';
+import { validateManifest, MANIFEST_FILE } from '../src/lib/manifest';
+
+const DEFAULT_MANIFEST = {
+  manifestVersion: 1,
+  id: 'com.example.myapp',
+  name: 'My App',
+  version: '1.0.0',
+  type: 'webview',
+  entryPoint: 'index.html',
+  permissions: [],
+  categories: ['Utility'],
+  description: 'A FireOS application',
+  author: 'You',
+  license: 'MIT'
+};
+
+const SEARCH_DELAY = 300; // ms after the last keystroke
 
 export default function AppStore() {
   const [view, setView] = useState('store'); // 'store', 'explorer', 'editor'
@@ -21,10 +38,36 @@ export default function AppStore() {
   const [currentFile, setCurrentFile] = useState(null);
   const [fileContent, setFileContent] = useState('');
   const [socket, setSocket] = useState(null);
+  const [manifestText, setManifestText] = useState(JSON.stringify(DEFAULT_MANIFEST, null, 2));
+  const [manifestErrors, setManifestErrors] = useState([]);
+  const [uploadProgress, setUploadProgress] = useState({});
   
   const fileInputRef = useRef();
   const editorRef = useRef();
   const zipRef = useRef(new JSZip());
+  
+  // Store listings, each at its newest verified version. Searching is done
+  // by the server, across every listing and all of its translations.
+  useEffect(() => {
+    const query = search.trim();
+    const controller = new AbortController();
+    
+    const timer = setTimeout(() => {
+      fetch(query ? `/api/apps?${new URLSearchParams({ q: query })}` : '/api/apps', { signal: controller.signal })
+        .then(response => response.json())
+        .then(({ apps }) => setApps(apps || []))
+        .catch(error => {
+          if (error.name !== 'AbortError') {
+            toast.error('Failed to load apps');
+          }
+        });
+    }, query ? SEARCH_DELAY : 0);
+    
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [search]);
 
   // WebSocket for real-time updates
   useEffect(() => {
@@ -66,7 +109,7 @@ export default function AppStore() {
         
         // Extract and validate manifest
         const zip = await JSZip.loadAsync(buffer);
-        const manifestFile = zip.file('manifest.json') || zip.file('app/manifest.json');
+        const manifestFile = zip.file(MANIFEST_FILE);
         
         if (!manifestFile) {
           toast.error(`${file.name}: No manifest found`);
@@ -75,31 +118,26 @@ export default function AppStore() {
         
         const manifest = JSON.parse(await manifestFile.async('text'));
         
-        // Validate required fields
-        const required = ['name', 'version', 'type', 'entryPoint'];
-        const missing = required.filter(field => !manifest[field]);
+        // Same schema the server enforces
+        const packageFiles = Object.values(zip.files)
+          .filter(entry => !entry.dir)
+          .map(entry => entry.name);
+        const errors = validateManifest(manifest, { files: packageFiles });
         
-        if (missing.length > 0) {
-          toast.error(`${file.name}: Missing fields: ${missing.join(', ')}`);
-          continue;
+        // Optional in the schema, but the store needs it to track versions
+        if (!manifest.id) {
+          errors.push({ field: 'id', message: 'Required to publish, e.g. com.example.app' });
         }
         
-        // Scan for viruses
-        const scanResult = await scanFile(buffer, file.name);
-        
-        if (!scanResult.clean) {
-          toast.error(`${file.name}: Failed virus scan`);
+        if (errors.length > 0) {
+          toast.error(`${file.name}: ${formatManifestErrors(errors)}`);
           continue;
         }
         
-        // Upload to Cloudflare
-        const formData = new FormData();
-        formData.append('apk', file);
-        formData.append('manifest', JSON.stringify(manifest));
-        
-        const response = await fetch('/api/upload', {
-          method: 'POST',
-          body: formData
+        // Upload in resumable chunks. Finalizing queues the virus scan;
+        // the version is installable once it passes.
+        const response = await uploadResumable(file, manifest, (sent) => {
+          setUploadProgress(prev => ({ ...prev, [file.name]: sent / file.size }));
         });
         
         if (response.ok) {
@@ -109,6 +147,10 @@ export default function AppStore() {
           
           // Notify via WebSocket
           socket.emit('app-uploaded', appData);
+        } else {
+          const { error, errors, violations } = await response.json();
+          const details = violations?.map(v => `${v.file || v.entry || 'package'} (${v.reason})`).join(', ');
+          toast.error(`${file.name}: ${errors ? formatManifestErrors(errors) : details ? `${error}: ${details}` : error}`);
         }
       } catch (error) {
         toast.error(`Error uploading ${file.name}: ${error.message}`);
@@ -116,6 +158,7 @@ export default function AppStore() {
     }
     
     setUploading(false);
+    setUploadProgress({});
   };
 
   // File system operations
@@ -189,17 +232,27 @@ export default function AppStore() {
   const buildAPK = async () => {
     const zip = new JSZip();
     
-    // Add manifest
-    const manifest = {
-      name: 'Custom App',
-      version: '1.0.0',
-      type: 'webview',
-      entryPoint: 'index.html',
-      permissions: ['filesystem', 'network'],
-      icon: 'icon.png'
-    };
+    // Add manifest from the editor
+    let manifest;
+    try {
+      manifest = JSON.parse(manifestText);
+    } catch (error) {
+      setManifestErrors([{ field: null, message: `Invalid JSON: ${error.message}` }]);
+      toast.error('Manifest is not valid JSON');
+      return;
+    }
     
-    zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+    const errors = validateManifest(manifest, {
+      files: [MANIFEST_FILE, manifest.entryPoint, 'app.js']
+    });
+    setManifestErrors(errors);
+    
+    if (errors.length > 0) {
+      toast.error(`Manifest: ${formatManifestErrors(errors)}`);
+      return;
+    }
+    
+    zip.file(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
     
     // Add HTML entry point
     const html = `
@@ -217,7 +270,7 @@ export default function AppStore() {
 </html>
     `;
     
-    zip.file('index.html', html);
+    zip.file(manifest.entryPoint, html);
     
     // Add JavaScript
     const js = `
@@ -238,16 +291,21 @@ new FireOSApp().run();
     
     zip.file('app.js', js);
     
-    // Generate APK
-    const apkBlob = await zip.generateAsync({ type: 'blob' });
+    // Generate the package. Only real APKs are uploaded as .apk.
+    const packageBlob = await zip.generateAsync({ type: 'blob' });
+    const fileName = `${manifest.name.toLowerCase().replace(/\s+/g, '-')}.zip`;
     
     // Download
     const link = document.createElement('a');
-    link.href = URL.createObjectURL(apkBlob);
-    link.download = `${manifest.name.toLowerCase().replace(/\s+/g, '-')}.apk`;
+    link.href = URL.createObjectURL(packageBlob);
+    link.download = fileName;
     link.click();
     
-    toast.success('APK built successfully!');
+    // Web packages are signed with the developer's own key, which never
+    // reaches the browser (scripts/sign-package.mjs)
+    toast.success(`${fileName} built. Sign it before uploading: npm run sign -- ${fileName} <your-key.pem>`, {
+      autoClose: false
+    });
   };
 
   // File Editor
@@ -302,7 +360,16 @@ new FireOSApp().run();
               <div {...getRootProps()} className="drop-zone">
                 <input {...getInputProps()} />
                 {uploading ? (
-                  <div className="uploading">Uploading...</div>
+                  <div className="uploading">
+                    Uploading...
+                    {Object.entries(uploadProgress).map(([name, progress]) => (
+                      <div key={name} className="upload-progress">
+                        <span>{name}</span>
+                        <progress value={progress} max={1} />
+                        <span>{Math.round(progress * 100)}%</span>
+                      </div>
+                    ))}
+                  </div>
                 ) : (
                   <div className="drop-content">
                     <FaUpload size={48} />
@@ -318,17 +385,22 @@ new FireOSApp().run();
           </Dropzone>
 
           <div className="apps-grid">
-            {apps.filter(app => 
-              app.name.toLowerCase().includes(search.toLowerCase()) ||
-              app.description?.toLowerCase().includes(search.toLowerCase())
-            ).map(app => (
+            {apps.map(app => (
               <motion.div
                 key={app.id}
                 className="app-card"
+                lang={app.locale}
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
               >
-                <img src={app.icon} alt={app.name} className="app-icon" />
+                <img
+                  src={app.icons?.card || app.icon}
+                  srcSet={app.icons ? `${app.icons.card} 1x, ${app.icons.hidpi} 2x` : undefined}
+                  width={128}
+                  height={128}
+                  alt={app.name}
+                  className="app-icon"
+                />
                 <div className="app-info">
                   <h3>{app.name}</h3>
                   <p className="app-version">v{app.version}</p>
@@ -426,18 +498,25 @@ new FireOSApp().run();
             <div className="editor-content">
               <textarea
                 className="manifest-editor"
-                defaultValue={JSON.stringify({
-                  name: "My App",
-                  version: "1.0.0",
-                  type: "webview",
-                  entryPoint: "index.html",
-                  permissions: [],
-                  icon: "icon.png",
-                  description: "A FireOS application",
-                  author: "You",
-                  license: "MIT"
-                }, null, 2)}
+                value={manifestText}
+                onChange={(e) => {
+                  setManifestText(e.target.value);
+                  try {
+                    setManifestErrors(validateManifest(JSON.parse(e.target.value)));
+                  } catch (error) {
+                    setManifestErrors([{ field: null, message: `Invalid JSON: ${error.message}` }]);
+                  }
+                }}
               />
+              {manifestErrors.length > 0 && (
+                <ul className="manifest-errors">
+                  {manifestErrors.map((error, i) => (
+                    <li key={i}>
+                      {error.field && <code>{error.field}</code>} {error.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
             </div>
           </div>
         </TabPanel>
@@ -458,22 +537,103 @@ new FireOSApp().run();
 }
 
 // Helper functions
-const scanFile = async (buffer, filename) => {
-  // Send to Cloudflare Worker for scanning
-  const response = await fetch('/api/scan', {
+const formatManifestErrors = (errors) => errors
+  .map(error => error.field ? `${error.field}: ${error.message}` : error.message)
+  .join('; ');
+
+const UPLOAD_RETRIES = 5;
+
+// Upload a package through /api/upload/sessions in chunks. The session id
+// is kept in localStorage so a reload or dropped connection resumes from
+// the last chunk the server stored. Resolves with the finalize response.
+const uploadResumable = async (file, manifest, onProgress) => {
+  const storageKey = `fireos-upload:${file.name}:${file.size}:${file.lastModified}`;
+  let session = null;
+  
+  const savedId = localStorage.getItem(storageKey);
+  if (savedId) {
+    const response = await fetch(`/api/upload/sessions?uploadId=${savedId}`);
+    if (response.ok) {
+      const status = await response.json();
+      if (status.status === 'uploading') {
+        session = status;
+      }
+    }
+  }
+  
+  if (!session) {
+    const response = await fetch('/api/upload/sessions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        fileName: file.name,
+        size: file.size,
+        contentType: file.type,
+        manifest
+      })
+    });
+    
+    if (!response.ok) {
+      return response;
+    }
+    
+    session = await response.json();
+    localStorage.setItem(storageKey, session.uploadId);
+  }
+  
+  let offset = session.offset;
+  let failures = 0;
+  onProgress(offset);
+  
+  while (offset < file.size) {
+    const chunk = file.slice(offset, offset + session.chunkSize);
+    let response;
+    
+    try {
+      response = await fetch(`/api/upload/sessions?uploadId=${session.uploadId}&offset=${offset}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: chunk
+      });
+    } catch (error) {
+      response = null;
+    }
+    
+    if (response?.ok) {
+      offset = (await response.json()).offset;
+      failures = 0;
+      onProgress(offset);
+      continue;
+    }
+    
+    // Out of sync with the server: carry on from what it has
+    if (response?.status === 409) {
+      const body = await response.json();
+      if (Number.isInteger(body.offset)) {
+        offset = body.offset;
+        continue;
+      }
+    }
+    
+    if (response && response.status < 500) {
+      localStorage.removeItem(storageKey);
+      return response;
+    }
+    
+    if (++failures > UPLOAD_RETRIES) {
+      throw new Error('Upload interrupted, drop the file again to resume');
+    }
+    await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** failures));
+  }
+  
+  const response = await fetch('/api/upload/sessions/finalize', {
     method: 'POST',
-    body: JSON.stringify({
-      filename,
-      size: buffer.byteLength,
-      hash: await calculateHash(buffer)
-    })
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ uploadId: session.uploadId })
   });
   
-  return response.json();
-};
-
-const calculateHash = async (buffer) => {
-  const hashBuffer = await crypto.subtle.digest('SHA-256', buffer);
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+  if (response.status < 500) {
+    localStorage.removeItem(storageKey);
+  }
+  return response;
 };
@@ -0,0 +1,7 @@
+/** @type {import('next').NextConfig} */
+module.exports = {
+  experimental: {
+    // Next.js 13 only runs src/instrumentation.js behind this flag
+    instrumentationHook: true
+  }
+};
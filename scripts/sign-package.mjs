@@ -0,0 +1,58 @@
+// Sign a FireOS package with a developer's Ed25519 key, as uploads of every
+// type but APK require. The private key stays on the developer's machine;
+// only the public key is registered, through /api/developer/keys.
+//
+//   npm run sign -- keygen <name>              write <name>.pem and <name>.pub.pem
+//   npm run sign -- <package.zip> <key.pem>    add fireos-signature.json to the package
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import JSZip from 'jszip';
+import {
+  createSignatureBlock,
+  exportPublicKey,
+  fingerprint,
+  SIGNATURE_FILE
+} from '../src/lib/signing.js';
+
+const USAGE = `Usage:
+  npm run sign -- keygen <name>
+  npm run sign -- <package.zip> <key.pem>`;
+
+async function keygen(name) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  
+  // Never overwrite an existing key
+  await fs.writeFile(`${name}.pem`, privateKey.export({ format: 'pem', type: 'pkcs8' }), { flag: 'wx', mode: 0o600 });
+  await fs.writeFile(`${name}.pub.pem`, exportPublicKey(publicKey), { flag: 'wx' });
+  
+  console.log(`Private key: ${name}.pem (keep it secret)`);
+  console.log(`Public key:  ${name}.pub.pem (register it as a developer key)`);
+  console.log(`Fingerprint: ${fingerprint(publicKey)}`);
+}
+
+// Signs in place; a previous signature block is replaced
+async function sign(packagePath, keyPath) {
+  const archive = await JSZip.loadAsync(await fs.readFile(packagePath));
+  const block = await createSignatureBlock(archive, await fs.readFile(keyPath, 'utf8'));
+  
+  archive.file(SIGNATURE_FILE, JSON.stringify(block, null, 2));
+  await fs.writeFile(packagePath, await archive.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }));
+  
+  console.log(`Signed ${Object.keys(block.files).length} files in ${packagePath} with key ${block.keyFingerprint}`);
+}
+
+const [command, argument] = process.argv.slice(2);
+
+try {
+  if (command === 'keygen' && argument) {
+    await keygen(argument);
+  } else if (command && argument) {
+    await sign(command, argument);
+  } else {
+    console.error(USAGE);
+    process.exitCode = 1;
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,100 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import { requeueJob, isStuck, startWorker, scheduleRescanSweep, STUCK_AFTER } from '../../../lib/queue';
+import { withAuth } from '../../../lib/auth';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Background jobs for admins. ?status=failed|queued|running|completed,
+// ?type=scan|rescan-sweep, or ?stuck=1 for running jobs whose worker stopped reporting.
+export const GET = withAuth(async (request) => {
+  try {
+    const { searchParams } = new URL(request.url);
+    const status = searchParams.get('status');
+    const type = searchParams.get('type');
+    const stuck = searchParams.get('stuck') === '1';
+    
+    let query = supabase
+      .from('queue_jobs')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(Math.min(Number(searchParams.get('limit')) || 100, 500));
+    
+    if (stuck) {
+      query = query
+        .eq('status', 'running')
+        .lt('locked_at', new Date(Date.now() - STUCK_AFTER).toISOString());
+    } else if (status) {
+      query = query.eq('status', status);
+    }
+    
+    if (type) {
+      query = query.eq('type', type);
+    }
+    
+    const { data: jobs, error } = await query;
+    
+    if (error) {
+      throw error;
+    }
+    
+    return NextResponse.json({
+      success: true,
+      jobs: jobs.map(job => ({ ...job, stuck: isStuck(job) }))
+    });
+    
+  } catch (error) {
+    console.error('Queue lookup error:', error);
+    return NextResponse.json(
+      { error: 'Failed to load jobs' },
+      { status: 500 }
+    );
+  }
+}, { roles: ['admin'] });
+
+// Requeue failed or stuck jobs: { jobId } or { jobIds: [...] }. With no ids,
+// nudges the worker to process whatever is due. { sweep: true } runs the
+// rescan sweep now, e.g. right after changing scan rules.
+export const POST = withAuth(async (request) => {
+  try {
+    const { jobId, jobIds, sweep = false } = await request.json();
+    const ids = jobIds || (jobId ? [jobId] : []);
+    
+    if (sweep) {
+      const job = await scheduleRescanSweep(supabase, { now: true });
+      return NextResponse.json({ success: true, sweepJobId: job.id });
+    }
+    
+    if (ids.length === 0) {
+      startWorker();
+      return NextResponse.json({ success: true, requeued: [] });
+    }
+    
+    const requeued = [];
+    const skipped = [];
+    
+    for (const id of ids) {
+      const result = await requeueJob(supabase, id);
+      
+      if (!result) {
+        skipped.push({ jobId: id, reason: 'Job not found' });
+      } else if (!result.requeued) {
+        skipped.push({ jobId: id, reason: `Job is ${result.job.status}` });
+      } else {
+        requeued.push(result.job);
+      }
+    }
+    
+    return NextResponse.json({ success: skipped.length === 0, requeued, skipped });
+    
+  } catch (error) {
+    console.error('Requeue error:', error);
+    return NextResponse.json(
+      { error: 'Failed to requeue jobs' },
+      { status: 500 }
+    );
+  }
+}, { roles: ['admin'] });
@@ -0,0 +1,113 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import { APP_TYPES } from '../../../lib/manifest';
+import {
+  loadPolicy,
+  resolvePolicy,
+  invalidatePolicy,
+  validatePolicyOverride,
+  POLICY_SCOPES
+} from '../../../lib/policy';
+import { withAuth } from '../../../lib/auth';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// The content policy: the base file, admin overrides, and what applies to
+// each app type once they are combined
+export const GET = withAuth(async () => {
+  try {
+    const state = await loadPolicy(supabase, { refresh: true });
+    
+    return NextResponse.json({
+      success: true,
+      base: state.base,
+      overrides: state.overrides,
+      effective: Object.fromEntries(APP_TYPES.map(type => [type, resolvePolicy(state, type)]))
+    });
+    
+  } catch (error) {
+    console.error('Policy lookup error:', error);
+    return NextResponse.json(
+      { error: 'Failed to load content policy' },
+      { status: 500 }
+    );
+  }
+}, { roles: ['admin'] });
+
+// Replace the override for one scope: { scope: 'default' | <type>, policy }
+export const PUT = withAuth(async (request, { user }) => {
+  try {
+    const { scope, policy } = await request.json();
+    const errors = validatePolicyOverride(scope, policy);
+    
+    if (errors.length > 0) {
+      return NextResponse.json(
+        { error: 'Invalid policy override', errors },
+        { status: 400 }
+      );
+    }
+    
+    const { data: override, error } = await supabase
+      .from('content_policy_overrides')
+      .upsert({
+        scope,
+        policy,
+        updated_by: user.id,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'scope' })
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    invalidatePolicy();
+    
+    return NextResponse.json({ success: true, override });
+    
+  } catch (error) {
+    console.error('Policy update error:', error);
+    return NextResponse.json(
+      { error: 'Failed to update content policy' },
+      { status: 500 }
+    );
+  }
+}, { roles: ['admin'] });
+
+// Drop the override for a scope, going back to the base policy: { scope }
+export const DELETE = withAuth(async (request) => {
+  try {
+    const { scope } = await request.json();
+    
+    if (!POLICY_SCOPES.includes(scope)) {
+      return NextResponse.json(
+        { error: `Scope must be one of: ${POLICY_SCOPES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+    
+    const { error } = await supabase
+      .from('content_policy_overrides')
+      .delete()
+      .eq('scope', scope);
+    
+    if (error) {
+      throw error;
+    }
+    
+    invalidatePolicy();
+    
+    return NextResponse.json({ success: true });
+    
+  } catch (error) {
+    console.error('Policy reset error:', error);
+    return NextResponse.json(
+      { error: 'Failed to reset content policy' },
+      { status: 500 }
+    );
+  }
+}, { roles: ['admin'] });
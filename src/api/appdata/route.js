@@ -0,0 +1,101 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import fs from 'fs/promises';
+import path from 'path';
+import { checkQuota, QuotaExceededError } from '../../lib/quota';
+import { withAuth } from '../../lib/auth';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Files the runtime owns; apps cannot overwrite them
+const RESERVED_FILES = ['runtime.json'];
+
+// Write a file into an installed app's data directory
+export const PUT = withAuth(async (request, { user }) => {
+  try {
+    const { appId, path: filePath, content, encoding = 'utf8' } = await request.json();
+    
+    if (!appId || !filePath || content === undefined) {
+      return NextResponse.json(
+        { error: 'Missing parameters' },
+        { status: 400 }
+      );
+    }
+    
+    if (!['utf8', 'base64'].includes(encoding)) {
+      return NextResponse.json(
+        { error: 'Encoding must be utf8 or base64' },
+        { status: 400 }
+      );
+    }
+    
+    const { data: installation } = await supabase
+      .from('installations')
+      .select('id, data_path, status')
+      .eq('user_id', user.id)
+      .eq('app_id', appId)
+      .eq('status', 'installed')
+      .limit(1)
+      .maybeSingle();
+    
+    if (!installation) {
+      return NextResponse.json(
+        { error: 'App not installed' },
+        { status: 404 }
+      );
+    }
+    
+    const dataDir = path.resolve(installation.data_path);
+    const target = path.resolve(dataDir, filePath);
+    const relative = path.relative(dataDir, target);
+    
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative) ||
+        RESERVED_FILES.includes(relative)) {
+      return NextResponse.json(
+        { error: 'Invalid path' },
+        { status: 400 }
+      );
+    }
+    
+    const buffer = Buffer.from(content, encoding);
+    
+    // Overwriting a file only costs the difference in size
+    let existingSize = 0;
+    try {
+      existingSize = (await fs.stat(target)).size;
+    } catch {
+      // New file
+    }
+    
+    const quota = await checkQuota(supabase, user.id, appId, buffer.length, {
+      replacedBytes: existingSize
+    });
+    
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, buffer);
+    
+    return NextResponse.json({
+      success: true,
+      path: relative,
+      size: buffer.length,
+      quota
+    });
+    
+  } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return NextResponse.json(
+        { error: error.message, quota: error.details },
+        { status: 413 }
+      );
+    }
+    
+    console.error('App data write error:', error);
+    return NextResponse.json(
+      { error: 'Failed to write app data' },
+      { status: 500 }
+    );
+  }
+});
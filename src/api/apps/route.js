@@ -0,0 +1,155 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import { resolveVersion, listVersions, channelOf, CHANNELS, DEFAULT_CHANNEL } from '../../lib/versions';
+import { iconUrls, screenshotUrls } from '../../lib/images';
+import {
+  requestedLocales,
+  localizeApp,
+  localizeReleaseNotes,
+  appLocales,
+  searchFilter
+} from '../../lib/locales';
+import { authenticate, AuthError } from '../../lib/auth';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Responses differ by language and signed-in user
+const VARY = { Vary: 'Accept-Language, Cookie' };
+
+// Public store listings. Each app is shown at its newest verified version
+// on ?channel= (stable by default); ?appId= returns one app, optionally at
+// a pinned ?version=, and ?q= searches names and descriptions. Listings are in the best locale for
+// ?locale=, the user's saved preference or Accept-Language.
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const appId = searchParams.get('appId');
+    const query = searchParams.get('q') || '';
+    const channel = searchParams.get('channel') || DEFAULT_CHANNEL;
+    
+    if (!CHANNELS.includes(channel)) {
+      return NextResponse.json(
+        { error: `Channel must be one of: ${CHANNELS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+    
+    const preferred = await preferredLocales(request);
+    
+    if (appId) {
+      const version = searchParams.get('version') || undefined;
+      const resolved = await resolveVersion(supabase, appId, { version, channel });
+      
+      if (!resolved || resolved.app.published === false || !resolved.release?.verified) {
+        return NextResponse.json(
+          { error: version ? `Version ${version} not found` : 'App not found' },
+          { status: 404 }
+        );
+      }
+      
+      return NextResponse.json({
+        success: true,
+        app: formatApp(resolved.app, resolved.release, resolved.versions.filter(candidate => candidate.verified), preferred)
+      }, { headers: VARY });
+    }
+    
+    let appsQuery = supabase
+      .from('apps')
+      .select('*')
+      .not('published', 'is', false);
+    
+    // Search in the user's language as well as the app's own, before the
+    // limit so any app can be found
+    const filter = searchFilter(query, preferred);
+    if (filter) {
+      appsQuery = appsQuery.or(filter);
+    }
+    
+    const { data: matches, error } = await appsQuery
+      .order('downloads', { ascending: false })
+      .limit(200);
+    
+    if (error) {
+      throw error;
+    }
+    
+    const versions = matches.length > 0
+      ? await listVersions(supabase, matches.map(app => app.id), { verifiedOnly: true, channel })
+      : [];
+    
+    // Apps with nothing verified yet are not in the store
+    const listings = matches
+      .map(app => {
+        const appVersions = versions.filter(version => version.app_id === app.id);
+        return appVersions.length > 0 ? formatApp(app, appVersions[0], appVersions, preferred) : null;
+      })
+      .filter(Boolean);
+    
+    return NextResponse.json({ success: true, apps: listings }, { headers: VARY });
+    
+  } catch (error) {
+    console.error('Store listing error:', error);
+    return NextResponse.json(
+      { error: 'Failed to load apps' },
+      { status: 500 }
+    );
+  }
+}
+
+// The signed-in user's preference is optional; anyone can browse the store
+async function preferredLocales(request) {
+  let preference = null;
+  
+  try {
+    const user = await authenticate(supabase, request);
+    const { data } = await supabase
+      .from('users')
+      .select('locale')
+      .eq('id', user.id)
+      .maybeSingle();
+    
+    preference = data?.locale;
+  } catch (error) {
+    if (!(error instanceof AuthError)) {
+      throw error;
+    }
+  }
+  
+  return requestedLocales(request, preference);
+}
+
+function formatApp(app, release, versions, preferred) {
+  const localized = localizeApp(app, preferred);
+  const defaultLocale = app.default_locale || undefined;
+  
+  return {
+    id: app.id,
+    packageId: app.package_id,
+    name: localized.name,
+    locale: localized.locale,
+    locales: appLocales(app),
+    version: release.version,
+    versionId: release.id,
+    channel: channelOf(release),
+    description: localized.description,
+    releaseNotes: localizeReleaseNotes(release, localized.locale, defaultLocale),
+    developer: app.developer_name,
+    categories: app.categories || [],
+    tags: app.tags || [],
+    icon: iconUrls(app).card,
+    icons: iconUrls(app),
+    screenshots: screenshotUrls({ ...app, screenshots: localized.screenshots }),
+    permissions: release.permissions || [],
+    size: release.size,
+    downloads: app.downloads || 0,
+    versions: versions.map(version => ({
+      version: version.version,
+      channel: channelOf(version),
+      uploadedAt: version.upload_date,
+      releaseNotes: localizeReleaseNotes(version, localized.locale, defaultLocale)
+    }))
+  };
+}
@@ -0,0 +1,273 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import fs from 'fs/promises';
+import path from 'path';
+import { resolveGrants } from '../../../lib/permissions';
+import { openArchive, safeExtract, ExtractionError } from '../../../lib/extract';
+import { checkQuota, directorySize, QuotaExceededError } from '../../../lib/quota';
+import {
+  decryptBackup,
+  readBackupManifest,
+  listUserFiles,
+  listTree,
+  checkCompatibility,
+  BackupError
+} from '../../../lib/backup';
+import { listVersions, getAppByPackageId, DEFAULT_CHANNEL } from '../../../lib/versions';
+import { withAuth } from '../../../lib/auth';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Restore a backup made by POST /api/backup. Apps are matched by package id,
+// since app ids differ between hosts; apps that are not installed yet are
+// installed first with the permissions they had when backed up. Backups
+// from before package ids were recorded only restore into the same app on
+// this host.
+export const POST = withAuth(async (request, { user }) => {
+  let workDir = null;
+  
+  try {
+    const formData = await request.formData();
+    const file = formData.get('backup');
+    const passphrase = formData.get('passphrase');
+    
+    const userId = user.id;
+    
+    if (!file || !passphrase) {
+      return NextResponse.json(
+        { error: 'Missing parameters' },
+        { status: 400 }
+      );
+    }
+    
+    const appIds = parseAppIds(formData.get('appIds'));
+    
+    if (appIds === undefined) {
+      return NextResponse.json(
+        { error: 'appIds must be a JSON array of app ids' },
+        { status: 400 }
+      );
+    }
+    
+    const zipBuffer = await decryptBackup(Buffer.from(await file.arrayBuffer()), passphrase);
+    const archive = await openArchive(zipBuffer);
+    const manifest = await readBackupManifest(archive);
+    
+    workDir = `/tmp/fireos/restore/${userId}_${Date.now()}`;
+    await safeExtract(archive, workDir);
+    
+    const restored = [];
+    const failed = [];
+    
+    for (const entry of manifest.apps) {
+      if (appIds && !appIds.includes(entry.appId)) {
+        continue;
+      }
+      
+      try {
+        restored.push(await restoreApp(request, userId, entry, workDir));
+      } catch (error) {
+        if (!(error instanceof BackupError) && !(error instanceof QuotaExceededError)) {
+          console.error('Restore error:', error);
+        }
+        failed.push({
+          appId: entry.appId,
+          name: entry.name,
+          version: entry.version,
+          error: error.message,
+          ...(error.details ? { details: error.details } : {})
+        });
+      }
+    }
+    
+    return NextResponse.json(
+      { success: failed.length === 0, restored, failed },
+      { status: restored.length === 0 && failed.length > 0 ? 409 : 200 }
+    );
+    
+  } catch (error) {
+    if (error instanceof BackupError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 400 }
+      );
+    }
+    
+    if (error instanceof ExtractionError) {
+      return NextResponse.json(
+        { error: error.message, violations: error.violations },
+        { status: 400 }
+      );
+    }
+    
+    console.error('Restore error:', error);
+    return NextResponse.json(
+      { error: 'Restore failed' },
+      { status: 500 }
+    );
+  } finally {
+    if (workDir) {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+});
+
+async function restoreApp(request, userId, entry, workDir) {
+  if (typeof entry.appId !== 'string' || !/^[\w-]+$/.test(entry.appId)) {
+    throw new BackupError('Backup entry has an invalid app id');
+  }
+  if (entry.packageId != null && typeof entry.packageId !== 'string') {
+    throw new BackupError('Backup entry has an invalid package id');
+  }
+  
+  const sourceDir = path.join(workDir, 'apps', entry.appId);
+  const backupRuntime = await readJson(path.join(sourceDir, 'runtime.json'));
+  
+  let installation = await findInstallation(userId, entry);
+  let installed = false;
+  
+  if (!installation) {
+    installation = await installForRestore(request, userId, entry, backupRuntime);
+    installed = true;
+  }
+  
+  const incompatible = checkCompatibility(entry.version, installation.version);
+  
+  if (incompatible) {
+    throw new BackupError(incompatible, {
+      backupVersion: entry.version,
+      installedVersion: installation.version
+    });
+  }
+  
+  const dataDir = installation.data_path;
+  const backupFiles = (await listTree(sourceDir))
+    .filter(file => file !== 'runtime.json');
+  const currentFiles = (await listUserFiles(dataDir, installation.installation_path))
+    .filter(file => file !== 'runtime.json');
+  
+  let currentBytes = 0;
+  for (const file of currentFiles) {
+    currentBytes += (await fs.stat(path.join(dataDir, file))).size;
+  }
+  
+  await checkQuota(supabase, userId, installation.app_id, await directorySize(sourceDir), {
+    replacedBytes: currentBytes
+  });
+  
+  // Copy first, then drop files the backup does not have, so a failed copy
+  // never leaves the app with less data than before. This host's
+  // runtime.json (paths, grants) is kept.
+  for (const file of backupFiles) {
+    const target = path.join(dataDir, file);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.copyFile(path.join(sourceDir, file), target);
+  }
+  
+  const stale = currentFiles.filter(file => !backupFiles.includes(file));
+  for (const file of stale) {
+    await fs.rm(path.join(dataDir, file), { force: true });
+  }
+  
+  return {
+    appId: installation.app_id,
+    name: entry.name,
+    backupVersion: entry.version,
+    installedVersion: installation.version,
+    installed,
+    files: backupFiles.length,
+    removed: stale.length
+  };
+}
+
+// null when absent, undefined when malformed
+function parseAppIds(value) {
+  if (!value) {
+    return null;
+  }
+  
+  let appIds;
+  try {
+    appIds = JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+  
+  return Array.isArray(appIds) && appIds.every(appId => typeof appId === 'string')
+    ? appIds
+    : undefined;
+}
+
+// Names are not unique across developers, so an installation only matches
+// on the package id, or for older backups on the app id it was made from
+async function findInstallation(userId, entry) {
+  const { data, error } = await supabase
+    .from('installations')
+    .select('id, app_id, version, installation_path, data_path, app:apps(package_id)')
+    .eq('user_id', userId)
+    .eq('status', 'installed');
+  
+  if (error) {
+    throw error;
+  }
+  
+  return (data || []).find(installation => (entry.packageId
+    ? installation.app?.package_id === entry.packageId
+    : installation.app_id === entry.appId)) || null;
+}
+
+// Install the newest verified version the backed-up data is compatible with,
+// on the channel the app was on when it was backed up
+async function installForRestore(request, userId, entry, backupRuntime) {
+  const channel = entry.channel || DEFAULT_CHANNEL;
+  
+  if (!entry.packageId) {
+    throw new BackupError(`${entry.name} is not installed, and the backup does not say which app it came from`, {
+      backupVersion: entry.version
+    });
+  }
+  
+  const app = await getAppByPackageId(supabase, entry.packageId);
+  
+  const release = app && app.published !== false
+    ? (await listVersions(supabase, app.id, { verifiedOnly: true, channel }))
+      .find(candidate => !checkCompatibility(entry.version, candidate.version))
+    : null;
+  
+  if (!release) {
+    throw new BackupError(`No compatible version of ${entry.name} is available`, {
+      backupVersion: entry.version
+    });
+  }
+  
+  // Only grants the new version still asks for carry over
+  const grantedPermissions = resolveGrants(release.permissions, backupRuntime?.permissions || []).granted;
+  
+  const response = await fetch(new URL('/api/install', request.url), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      cookie: request.headers.get('cookie') || ''
+    },
+    body: JSON.stringify({ appId: release.app_id, version: release.version, channel, grantedPermissions })
+  });
+  
+  const result = await response.json();
+  
+  if (!response.ok) {
+    throw new BackupError(`Could not install ${entry.name}: ${result.error}`, result);
+  }
+  
+  return findInstallation(userId, entry);
+}
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,97 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import { Readable } from 'stream';
+import { createBackupStream, listUserFiles, BackupError } from '../../lib/backup';
+import { withAuth } from '../../lib/auth';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Export one app's data, or every installed app's, as an encrypted backup.
+// Restore it with POST /api/backup/restore.
+export const POST = withAuth(async (request, { user }) => {
+  try {
+    const { appId, passphrase } = await request.json();
+    const userId = user.id;
+    
+    if (!passphrase) {
+      return NextResponse.json(
+        { error: 'Missing parameters' },
+        { status: 400 }
+      );
+    }
+    
+    let query = supabase
+      .from('installations')
+      .select('id, app_id, version, channel, installation_path, data_path, app:apps(name, package_id)')
+      .eq('user_id', userId)
+      .eq('status', 'installed');
+    
+    if (appId) {
+      query = query.eq('app_id', appId);
+    }
+    
+    const { data: installations, error } = await query;
+    
+    if (error) {
+      throw error;
+    }
+    
+    if (!installations || installations.length === 0) {
+      return NextResponse.json(
+        { error: appId ? 'App not installed' : 'No installed apps to back up' },
+        { status: 404 }
+      );
+    }
+    
+    const apps = [];
+    const seen = new Set();
+    
+    for (const installation of installations) {
+      // Duplicate rows from older installs share one directory
+      if (seen.has(installation.app_id)) {
+        continue;
+      }
+      seen.add(installation.app_id);
+      
+      const dataDir = installation.data_path || `/userdata/${userId}/apps/${installation.app_id}`;
+      
+      apps.push({
+        appId: installation.app_id,
+        packageId: installation.app?.package_id || null,
+        name: installation.app?.name || null,
+        version: installation.version,
+        channel: installation.channel || null,
+        dataDir,
+        files: await listUserFiles(dataDir, installation.installation_path)
+      });
+    }
+    
+    const stream = await createBackupStream(apps, { userId, passphrase });
+    const date = new Date().toISOString().slice(0, 10);
+    
+    return new NextResponse(Readable.toWeb(stream), {
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'Content-Disposition': `attachment; filename="fireos-backup-${date}.fosb"`,
+        'Cache-Control': 'no-store'
+      }
+    });
+    
+  } catch (error) {
+    if (error instanceof BackupError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 400 }
+      );
+    }
+    
+    console.error('Backup error:', error);
+    return NextResponse.json(
+      { error: 'Backup failed' },
+      { status: 500 }
+    );
+  }
+});
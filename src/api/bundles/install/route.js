@@ -0,0 +1,144 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import { normalizePermissions } from '../../../lib/permissions';
+import {
+  getBundle,
+  planBundle,
+  mapWithConcurrency,
+  DEFAULT_CONCURRENCY,
+  MAX_CONCURRENCY
+} from '../../../lib/bundles';
+import { withAuth } from '../../../lib/auth';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Install every app of a bundle through POST /api/install, a few at a time.
+// Body: { bundleId, grantedPermissions: { [appId]: [...] }, concurrency }
+export const POST = withAuth(async (request, { user }) => {
+  try {
+    const {
+      bundleId,
+      grantedPermissions = {},
+      concurrency = DEFAULT_CONCURRENCY
+    } = await request.json();
+    
+    if (!bundleId) {
+      return NextResponse.json(
+        { error: 'Missing parameters' },
+        { status: 400 }
+      );
+    }
+    
+    const bundle = await getBundle(supabase, bundleId);
+    
+    if (!bundle) {
+      return NextResponse.json(
+        { error: 'Bundle not found' },
+        { status: 404 }
+      );
+    }
+    
+    const plan = await planBundle(supabase, bundle, user.id);
+    
+    // Ask for consent for the whole bundle at once rather than app by app
+    const needsConsent = plan.install
+      .filter(app => grantedPermissions[app.id] === undefined)
+      .map(app => ({
+        appId: app.id,
+        name: app.name,
+        version: app.version,
+        requestedPermissions: normalizePermissions(app.permissions)
+      }))
+      .filter(app => app.requestedPermissions.length > 0);
+    
+    if (needsConsent.length > 0) {
+      return NextResponse.json(
+        {
+          error: 'Permission consent required',
+          consentRequired: true,
+          bundleId,
+          apps: needsConsent
+        },
+        { status: 428 }
+      );
+    }
+    
+    const limit = Math.max(1, Math.min(Number(concurrency) || DEFAULT_CONCURRENCY, MAX_CONCURRENCY));
+    
+    const results = await mapWithConcurrency(plan.install, limit, async (app) => {
+      try {
+        const response = await fetch(new URL('/api/install', request.url), {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            cookie: request.headers.get('cookie') || ''
+          },
+          body: JSON.stringify({
+            appId: app.id,
+            version: app.version,
+            grantedPermissions: grantedPermissions[app.id] || [],
+            installDependencies: true
+          })
+        });
+        
+        const body = await response.json();
+        
+        if (!response.ok) {
+          return {
+            appId: app.id,
+            name: app.name,
+            version: app.version,
+            status: 'failed',
+            httpStatus: response.status,
+            error: body.error,
+            failedStep: body.failedStep || null
+          };
+        }
+        
+        return {
+          appId: app.id,
+          name: app.name,
+          version: app.version,
+          status: 'installed',
+          installationId: body.installation?.id,
+          dependencies: body.dependencies?.installed?.length || 0
+        };
+      } catch (error) {
+        return {
+          appId: app.id,
+          name: app.name,
+          version: app.version,
+          status: 'failed',
+          error: error.message
+        };
+      }
+    });
+    
+    const skipped = plan.skipped.map(app => ({ ...app, status: 'skipped' }));
+    const missing = plan.missing.map(app => ({ ...app, status: 'failed', error: app.reason }));
+    const all = [...results, ...skipped, ...missing];
+    
+    const summary = {
+      installed: all.filter(result => result.status === 'installed').length,
+      skipped: skipped.length,
+      failed: all.filter(result => result.status === 'failed').length
+    };
+    
+    return NextResponse.json({
+      success: summary.failed === 0,
+      bundle: { id: bundle.id, name: bundle.name },
+      summary,
+      results: all
+    });
+    
+  } catch (error) {
+    console.error('Bundle install error:', error);
+    return NextResponse.json(
+      { error: 'Bundle installation failed: ' + error.message },
+      { status: 500 }
+    );
+  }
+});
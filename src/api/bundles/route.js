@@ -0,0 +1,163 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import { validateBundle, getBundle } from '../../lib/bundles';
+import { withAuth } from '../../lib/auth';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// List bundles, or one bundle with its apps when bundleId is given
+export const GET = withAuth(async (request) => {
+  try {
+    const { searchParams } = new URL(request.url);
+    const bundleId = searchParams.get('bundleId');
+    
+    if (bundleId) {
+      const bundle = await getBundle(supabase, bundleId);
+      
+      if (!bundle) {
+        return NextResponse.json(
+          { error: 'Bundle not found' },
+          { status: 404 }
+        );
+      }
+      
+      return NextResponse.json({ success: true, bundle });
+    }
+    
+    const { data: bundles, error } = await supabase
+      .from('bundles')
+      .select('id, name, description, created_by, created_at, apps:bundle_apps(count)')
+      .order('name', { ascending: true });
+    
+    if (error) {
+      throw error;
+    }
+    
+    return NextResponse.json({ success: true, bundles });
+    
+  } catch (error) {
+    console.error('Bundle lookup error:', error);
+    return NextResponse.json(
+      { error: 'Failed to load bundles' },
+      { status: 500 }
+    );
+  }
+});
+
+// Create a bundle: { name, description, apps: [{ appId, version }] }
+export const POST = withAuth(async (request, { user }) => {
+  try {
+    const { name, description, apps } = await request.json();
+    const errors = validateBundle({ name, apps });
+    
+    if (errors.length > 0) {
+      return NextResponse.json(
+        { error: 'Invalid bundle', errors },
+        { status: 400 }
+      );
+    }
+    
+    const { data: bundle, error: bundleError } = await supabase
+      .from('bundles')
+      .insert({
+        name: name.trim(),
+        description: description || null,
+        created_by: user.id,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+    
+    if (bundleError) {
+      throw bundleError;
+    }
+    
+    const { error: appsError } = await supabase
+      .from('bundle_apps')
+      .insert(apps.map((entry, position) => ({
+        bundle_id: bundle.id,
+        app_id: entry.appId,
+        version_range: entry.version || '*',
+        position
+      })));
+    
+    if (appsError) {
+      await supabase
+        .from('bundles')
+        .delete()
+        .eq('id', bundle.id);
+      throw appsError;
+    }
+    
+    return NextResponse.json({
+      success: true,
+      bundle: await getBundle(supabase, bundle.id)
+    });
+    
+  } catch (error) {
+    console.error('Bundle creation error:', error);
+    return NextResponse.json(
+      { error: 'Failed to create bundle' },
+      { status: 500 }
+    );
+  }
+});
+
+export const DELETE = withAuth(async (request, { user }) => {
+  try {
+    const { bundleId } = await request.json();
+    
+    if (!bundleId) {
+      return NextResponse.json(
+        { error: 'Missing parameters' },
+        { status: 400 }
+      );
+    }
+    
+    const { data: bundle } = await supabase
+      .from('bundles')
+      .select('id, created_by')
+      .eq('id', bundleId)
+      .maybeSingle();
+    
+    if (!bundle) {
+      return NextResponse.json(
+        { error: 'Bundle not found' },
+        { status: 404 }
+      );
+    }
+    
+    if (bundle.created_by !== user.id && user.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Only the bundle owner can delete it' },
+        { status: 403 }
+      );
+    }
+    
+    await supabase
+      .from('bundle_apps')
+      .delete()
+      .eq('bundle_id', bundleId);
+    
+    const { error } = await supabase
+      .from('bundles')
+      .delete()
+      .eq('id', bundleId);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return NextResponse.json({ success: true, bundleId });
+    
+  } catch (error) {
+    console.error('Bundle deletion error:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete bundle' },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,119 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import { compareVersions } from '../../../../lib/semver';
+import { getListing } from '../../../../lib/developers';
+import { channelOf, CHANNELS, DEFAULT_CHANNEL } from '../../../../lib/versions';
+import { withAuth } from '../../../../lib/auth';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Move an uploaded version to a more stable channel without uploading it
+// again: { appId, versionId, channel } (stable by default). The package,
+// its scan result and its deltas stay as they are.
+export const POST = withAuth(async (request, { user }) => {
+  try {
+    const { appId, versionId, channel = DEFAULT_CHANNEL } = await request.json();
+    
+    if (!appId || !versionId) {
+      return NextResponse.json(
+        { error: 'Missing parameters' },
+        { status: 400 }
+      );
+    }
+    
+    if (!CHANNELS.includes(channel)) {
+      return NextResponse.json(
+        { error: `Channel must be one of: ${CHANNELS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+    
+    const listing = await getListing(supabase, appId, user.id);
+    
+    if (!listing || !listing.owned) {
+      return NextResponse.json(
+        { error: 'App not found' },
+        { status: 404 }
+      );
+    }
+    
+    const version = listing.versions.find(candidate => candidate.id === versionId);
+    
+    if (!version) {
+      return NextResponse.json(
+        { error: 'Version not found' },
+        { status: 404 }
+      );
+    }
+    
+    const from = channelOf(version);
+    
+    if (CHANNELS.indexOf(channel) >= CHANNELS.indexOf(from)) {
+      return NextResponse.json(
+        { error: `Version ${version.version} is on ${from}; it can only move to a more stable channel` },
+        { status: 400 }
+      );
+    }
+    
+    if (!version.verified) {
+      return NextResponse.json(
+        { error: 'Only versions that passed their scan can be promoted', scanStatus: version.status || 'pending' },
+        { status: 409 }
+      );
+    }
+    
+    // Same rule as uploads: each channel only moves forward
+    const latest = listing.versions.find(candidate => channelOf(candidate) === channel);
+    
+    if (latest && compareVersions(version.version, latest.version) <= 0) {
+      return NextResponse.json(
+        { error: `Version must be higher than ${latest.version} on the ${channel} channel`, latestVersion: latest.version },
+        { status: 409 }
+      );
+    }
+    
+    const { data: promoted, error } = await supabase
+      .from('app_versions')
+      .update({
+        channel,
+        promoted_from: from,
+        promoted_at: new Date().toISOString()
+      })
+      .eq('id', version.id)
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    // latest_version is the newest stable release
+    if (channel === DEFAULT_CHANNEL) {
+      await supabase
+        .from('apps')
+        .update({ latest_version: promoted.version, updated_at: new Date().toISOString() })
+        .eq('id', listing.app.id);
+    }
+    
+    return NextResponse.json({
+      success: true,
+      version: {
+        versionId: promoted.id,
+        version: promoted.version,
+        channel: promoted.channel,
+        promotedFrom: from,
+        promotedAt: promoted.promoted_at
+      }
+    });
+    
+  } catch (error) {
+    console.error('Promote error:', error);
+    return NextResponse.json(
+      { error: 'Failed to promote version' },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,279 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import { getListing, validateListing } from '../../../lib/developers';
+import { listVersions, channelOf } from '../../../lib/versions';
+import { iconUrls, screenshotUrls } from '../../../lib/images';
+import { DEFAULT_LOCALE } from '../../../lib/locales';
+import { getStorage } from '../../../lib/storage';
+import { withAuth } from '../../../lib/auth';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// The developer dashboard: every app the user owns with its versions,
+// downloads and scan status
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const { data: apps, error } = await supabase
+      .from('apps')
+      .select('*')
+      .eq('developer_id', user.id)
+      .order('created_at', { ascending: false });
+    
+    if (error) {
+      throw error;
+    }
+    
+    const versions = apps.length > 0 ? await listVersions(supabase, apps.map(app => app.id)) : [];
+    
+    return NextResponse.json({
+      success: true,
+      listings: apps.map(app => formatListing(app, versions.filter(version => version.app_id === app.id)))
+    });
+    
+  } catch (error) {
+    console.error('Developer apps error:', error);
+    return NextResponse.json(
+      { error: 'Failed to load apps' },
+      { status: 500 }
+    );
+  }
+});
+
+// Edit a listing: { appId, description, categories, tags, screenshots, published,
+// defaultLocale, localizations, versionId, releaseNotes }. `screenshots` is
+// the new order of existing screenshot keys; any left out are deleted.
+// `localizations` edits translations ({ de: { name, description, screenshots } },
+// null removes one) and `releaseNotes` the notes of version `versionId`
+// ({ de: '...' }, null removes a locale).
+export const PATCH = withAuth(async (request, { user }) => {
+  try {
+    const { appId, ...changes } = await request.json();
+    
+    if (!appId) {
+      return NextResponse.json(
+        { error: 'Missing parameters' },
+        { status: 400 }
+      );
+    }
+    
+    const errors = validateListing(changes);
+    
+    if (errors.length > 0) {
+      return NextResponse.json(
+        { error: 'Invalid listing', errors },
+        { status: 400 }
+      );
+    }
+    
+    const listing = await getListing(supabase, appId, user.id);
+    
+    if (!listing || !listing.owned) {
+      return NextResponse.json(
+        { error: 'App not found' },
+        { status: 404 }
+      );
+    }
+    
+    const update = {};
+    for (const field of ['description', 'categories', 'tags', 'published']) {
+      if (changes[field] !== undefined) {
+        update[field] = changes[field];
+      }
+    }
+    
+    if (changes.defaultLocale !== undefined) {
+      update.default_locale = changes.defaultLocale;
+    }
+    
+    const removedKeys = [];
+    const unknownScreenshots = [];
+    
+    if (changes.screenshots !== undefined) {
+      const reordered = reorderScreenshots(listing.app.screenshots, changes.screenshots);
+      
+      update.screenshots = reordered.screenshots;
+      update.screenshot_keys = changes.screenshots;
+      removedKeys.push(...reordered.removedKeys);
+      unknownScreenshots.push(...reordered.unknown);
+    }
+    
+    if (changes.localizations !== undefined) {
+      const localizations = { ...listing.app.localizations };
+      
+      for (const [locale, translation] of Object.entries(changes.localizations)) {
+        const existing = localizations[locale] || {};
+        
+        if (translation === null) {
+          removedKeys.push(...reorderScreenshots(existing.screenshots, []).removedKeys);
+          delete localizations[locale];
+          continue;
+        }
+        
+        const next = { ...existing };
+        for (const field of ['name', 'description']) {
+          if (translation[field] !== undefined) {
+            next[field] = translation[field];
+          }
+        }
+        
+        if (translation.screenshots !== undefined) {
+          const reordered = reorderScreenshots(existing.screenshots, translation.screenshots);
+          
+          next.screenshots = reordered.screenshots;
+          removedKeys.push(...reordered.removedKeys);
+          unknownScreenshots.push(...reordered.unknown);
+        }
+        
+        localizations[locale] = next;
+      }
+      
+      update.localizations = localizations;
+    }
+    
+    if (unknownScreenshots.length > 0) {
+      return NextResponse.json(
+        { error: 'Unknown screenshots', screenshots: unknownScreenshots },
+        { status: 400 }
+      );
+    }
+    
+    let versions = listing.versions;
+    
+    if (changes.releaseNotes !== undefined) {
+      const version = versions.find(candidate => candidate.id === changes.versionId);
+      
+      if (!version) {
+        return NextResponse.json(
+          { error: 'Version not found' },
+          { status: 404 }
+        );
+      }
+      
+      const releaseNotes = { ...version.release_notes, ...changes.releaseNotes };
+      for (const [locale, notes] of Object.entries(releaseNotes)) {
+        if (notes === null) {
+          delete releaseNotes[locale];
+        }
+      }
+      
+      const { data: updatedVersion, error } = await supabase
+        .from('app_versions')
+        .update({ release_notes: releaseNotes })
+        .eq('id', version.id)
+        .select()
+        .single();
+      
+      if (error) {
+        throw error;
+      }
+      versions = versions.map(candidate => candidate.id === version.id ? updatedVersion : candidate);
+    } else if (Object.keys(update).length === 0) {
+      return NextResponse.json(
+        { error: 'Nothing to update' },
+        { status: 400 }
+      );
+    }
+    
+    let app = listing.app;
+    
+    if (Object.keys(update).length > 0) {
+      update.updated_at = new Date().toISOString();
+      
+      const { data, error } = await supabase
+        .from('apps')
+        .update(update)
+        .eq('id', listing.app.id)
+        .select()
+        .single();
+      
+      if (error) {
+        throw error;
+      }
+      app = data;
+    }
+    
+    for (const key of removedKeys) {
+      await getStorage().delete(key);
+    }
+    
+    return NextResponse.json({
+      success: true,
+      listing: formatListing(app, versions)
+    });
+    
+  } catch (error) {
+    console.error('Listing update error:', error);
+    return NextResponse.json(
+      { error: 'Failed to update listing' },
+      { status: 500 }
+    );
+  }
+});
+
+// `keys` is the new order of a screenshot list; screenshots left out are
+// removed along with their files
+function reorderScreenshots(current = [], keys) {
+  const byKey = new Map(current.map(screenshot => [screenshot.key, screenshot]));
+  
+  return {
+    screenshots: keys.filter(key => byKey.has(key)).map(key => byKey.get(key)),
+    unknown: keys.filter(key => !byKey.has(key)),
+    removedKeys: current
+      .filter(screenshot => !keys.includes(screenshot.key))
+      .flatMap(screenshot => [screenshot.key, screenshot.thumbnailKey])
+  };
+}
+
+function screenshotEntries(screenshots) {
+  return screenshotUrls({ screenshots }).map((screenshot, index) => ({
+    ...screenshot,
+    key: screenshots[index].key
+  }));
+}
+
+// `versions` are the app's versions, newest first
+function formatListing(app, versions) {
+  return {
+    appId: app.id,
+    packageId: app.package_id,
+    name: app.name,
+    description: app.description,
+    defaultLocale: app.default_locale || DEFAULT_LOCALE,
+    localizations: Object.fromEntries(Object.entries(app.localizations || {}).map(([locale, translation]) => [
+      locale,
+      {
+        name: translation.name || null,
+        description: translation.description || null,
+        screenshots: screenshotEntries(translation.screenshots || [])
+      }
+    ])),
+    categories: app.categories || [],
+    tags: app.tags || [],
+    published: app.published !== false,
+    icons: iconUrls(app),
+    screenshots: screenshotUrls(app).map((screenshot, index) => ({
+      ...screenshot,
+      key: app.screenshot_keys?.[index]
+    })),
+    downloads: app.downloads || 0,
+    latestVersion: versions[0]?.version || null,
+    latestVerifiedVersion: versions.find(version => version.verified)?.version || null,
+    versions: versions.map(version => ({
+      versionId: version.id,
+      version: version.version,
+      channel: channelOf(version),
+      promotedAt: version.promoted_at || null,
+      uploadedAt: version.upload_date,
+      size: version.size,
+      downloads: version.downloads || 0,
+      verified: version.verified,
+      scanStatus: version.status || 'pending',
+      lastScan: version.last_scan || null,
+      threats: version.threats || [],
+      releaseNotes: version.release_notes || {}
+    }))
+  };
+}
@@ -0,0 +1,114 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import crypto from 'crypto';
+import { getListing } from '../../../../lib/developers';
+import { processScreenshot, screenshotUrls, ImageError, MAX_SCREENSHOTS } from '../../../../lib/images';
+import { getStorage } from '../../../../lib/storage';
+import { normalizeLocale } from '../../../../lib/locales';
+import { withAuth } from '../../../../lib/auth';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Add a screenshot to a listing (multipart: appId, screenshot, and locale
+// for a translation's screenshots). It goes through the same processing as
+// screenshots shipped in a package.
+export const POST = withAuth(async (request, { user }) => {
+  try {
+    const formData = await request.formData();
+    const appId = formData.get('appId');
+    const file = formData.get('screenshot');
+    const locale = formData.get('locale') || null;
+    
+    if (!appId || !file || typeof file === 'string') {
+      return NextResponse.json(
+        { error: 'Missing parameters' },
+        { status: 400 }
+      );
+    }
+    
+    if (locale && normalizeLocale(locale) !== locale) {
+      return NextResponse.json(
+        { error: 'Not a locale tag such as de or pt-BR' },
+        { status: 400 }
+      );
+    }
+    
+    const listing = await getListing(supabase, appId, user.id);
+    
+    if (!listing || !listing.owned) {
+      return NextResponse.json(
+        { error: 'App not found' },
+        { status: 404 }
+      );
+    }
+    
+    const localizations = listing.app.localizations || {};
+    const current = (locale ? localizations[locale]?.screenshots : listing.app.screenshots) || [];
+    
+    if (current.length >= MAX_SCREENSHOTS) {
+      return NextResponse.json(
+        { error: `At most ${MAX_SCREENSHOTS} screenshots` },
+        { status: 400 }
+      );
+    }
+    
+    const { image, thumbnail } = await processScreenshot(Buffer.from(await file.arrayBuffer()), file.name);
+    
+    const id = crypto.randomUUID();
+    const prefix = locale ? `${listing.app.id}_${locale}_${id}` : `${listing.app.id}_${id}`;
+    const screenshot = {
+      key: `screenshots/${prefix}.webp`,
+      thumbnailKey: `screenshots/${prefix}_thumb.webp`,
+      width: image.width,
+      height: image.height,
+      thumbnailWidth: thumbnail.width,
+      thumbnailHeight: thumbnail.height
+    };
+    
+    await getStorage().put(screenshot.key, image.buffer, { contentType: 'image/webp' });
+    await getStorage().put(screenshot.thumbnailKey, thumbnail.buffer, { contentType: 'image/webp' });
+    
+    const screenshots = [...current, screenshot];
+    
+    const update = locale
+      ? { localizations: { ...localizations, [locale]: { ...localizations[locale], screenshots } } }
+      : { screenshots, screenshot_keys: screenshots.map(entry => entry.key) };
+    
+    const { error } = await supabase
+      .from('apps')
+      .update({ ...update, updated_at: new Date().toISOString() })
+      .eq('id', listing.app.id);
+    
+    if (error) {
+      await getStorage().delete(screenshot.key);
+      await getStorage().delete(screenshot.thumbnailKey);
+      throw error;
+    }
+    
+    return NextResponse.json({
+      success: true,
+      locale,
+      screenshots: screenshotUrls({ screenshots }).map((entry, index) => ({
+        ...entry,
+        key: screenshots[index].key
+      }))
+    });
+    
+  } catch (error) {
+    if (error instanceof ImageError) {
+      return NextResponse.json(
+        { error: error.message, file: error.file },
+        { status: 400 }
+      );
+    }
+    
+    console.error('Screenshot upload error:', error);
+    return NextResponse.json(
+      { error: 'Failed to add screenshot' },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,192 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import {
+  importPublicKey,
+  exportPublicKey,
+  fingerprint,
+  verifyDetached,
+  KEY_ROTATION_PREFIX,
+  SignatureError
+} from '../../../lib/signing';
+import { withAuth } from '../../../lib/auth';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// List a developer's signing keys
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const { data: keys, error } = await supabase
+      .from('developer_keys')
+      .select('id, fingerprint, algorithm, public_key, created_at, revoked_at')
+      .eq('developer_id', user.id)
+      .order('created_at', { ascending: true });
+    
+    if (error) {
+      throw error;
+    }
+    
+    return NextResponse.json({ success: true, keys });
+    
+  } catch (error) {
+    console.error('Key lookup error:', error);
+    return NextResponse.json(
+      { error: 'Failed to load signing keys' },
+      { status: 500 }
+    );
+  }
+});
+
+// Register a signing key. To rotate, pass the old key's id and a signature
+// made with the old key over "fireos-key-rotation:<new key fingerprint>".
+export const POST = withAuth(async (request, { user }) => {
+  try {
+    const { publicKey, rotateFrom, rotationSignature } = await request.json();
+    
+    if (!publicKey) {
+      return NextResponse.json(
+        { error: 'Missing parameters' },
+        { status: 400 }
+      );
+    }
+    
+    const key = importPublicKey(publicKey);
+    const keyFingerprint = fingerprint(key);
+    
+    const { data: existing } = await supabase
+      .from('developer_keys')
+      .select('id')
+      .eq('fingerprint', keyFingerprint)
+      .maybeSingle();
+    
+    if (existing) {
+      return NextResponse.json(
+        { error: 'Key already registered' },
+        { status: 409 }
+      );
+    }
+    
+    let previousKey = null;
+    
+    if (rotateFrom) {
+      const { data: oldKey } = await supabase
+        .from('developer_keys')
+        .select('*')
+        .eq('id', rotateFrom)
+        .eq('developer_id', user.id)
+        .maybeSingle();
+      
+      if (!oldKey) {
+        return NextResponse.json(
+          { error: 'Key to rotate from not found' },
+          { status: 404 }
+        );
+      }
+      
+      if (!verifyDetached(oldKey.public_key, KEY_ROTATION_PREFIX + keyFingerprint, rotationSignature || '')) {
+        return NextResponse.json(
+          { error: 'Rotation must be signed by the previous key' },
+          { status: 403 }
+        );
+      }
+      
+      previousKey = oldKey;
+    }
+    
+    const { data: created, error: insertError } = await supabase
+      .from('developer_keys')
+      .insert({
+        developer_id: user.id,
+        public_key: exportPublicKey(key),
+        fingerprint: keyFingerprint,
+        algorithm: 'ed25519',
+        created_at: new Date().toISOString()
+      })
+      .select('id, fingerprint, algorithm, created_at')
+      .single();
+    
+    if (insertError) {
+      throw insertError;
+    }
+    
+    if (previousKey) {
+      const { error: rotationError } = await supabase
+        .from('key_rotations')
+        .insert({
+          from_key_id: previousKey.id,
+          to_key_id: created.id,
+          signature: rotationSignature,
+          created_at: new Date().toISOString()
+        });
+      
+      if (rotationError) {
+        throw rotationError;
+      }
+    }
+    
+    return NextResponse.json({
+      success: true,
+      key: created,
+      rotatedFrom: previousKey?.id || null
+    });
+    
+  } catch (error) {
+    if (error instanceof SignatureError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 400 }
+      );
+    }
+    
+    console.error('Key registration error:', error);
+    return NextResponse.json(
+      { error: 'Failed to register signing key' },
+      { status: 500 }
+    );
+  }
+});
+
+// Revoke a key; packages signed with it no longer install
+export const DELETE = withAuth(async (request, { user }) => {
+  try {
+    const { keyId } = await request.json();
+    
+    if (!keyId) {
+      return NextResponse.json(
+        { error: 'Missing parameters' },
+        { status: 400 }
+      );
+    }
+    
+    const { data: revoked, error } = await supabase
+      .from('developer_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', keyId)
+      .eq('developer_id', user.id)
+      .is('revoked_at', null)
+      .select('id, fingerprint, revoked_at')
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    if (!revoked) {
+      return NextResponse.json(
+        { error: 'Active key not found' },
+        { status: 404 }
+      );
+    }
+    
+    return NextResponse.json({ success: true, key: revoked });
+    
+  } catch (error) {
+    console.error('Key revocation error:', error);
+    return NextResponse.json(
+      { error: 'Failed to revoke signing key' },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,109 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import { getDeveloper, validateProfile } from '../../lib/developers';
+import { withAuth } from '../../lib/auth';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// The signed-in user's developer account, or null if they have none
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const developer = await getDeveloper(supabase, user.id);
+    
+    return NextResponse.json({
+      success: true,
+      developer: developer && formatDeveloper(developer)
+    });
+    
+  } catch (error) {
+    console.error('Developer lookup error:', error);
+    return NextResponse.json(
+      { error: 'Failed to load developer account' },
+      { status: 500 }
+    );
+  }
+});
+
+// Create or update the developer account:
+// { displayName, website, supportEmail }
+export const PUT = withAuth(async (request, { user }) => {
+  try {
+    const { displayName, website, supportEmail } = await request.json();
+    const errors = validateProfile({ displayName, website, supportEmail });
+    
+    if (errors.length > 0) {
+      return NextResponse.json(
+        { error: 'Invalid developer profile', errors },
+        { status: 400 }
+      );
+    }
+    
+    // Display names are shown on listings, so they must be unique
+    const { data: taken } = await supabase
+      .from('developers')
+      .select('user_id')
+      .ilike('display_name', displayName.trim())
+      .neq('user_id', user.id)
+      .maybeSingle();
+    
+    if (taken) {
+      return NextResponse.json(
+        { error: 'Display name is already taken' },
+        { status: 409 }
+      );
+    }
+    
+    const existing = await getDeveloper(supabase, user.id);
+    const now = new Date().toISOString();
+    
+    const { data: developer, error } = await supabase
+      .from('developers')
+      .upsert({
+        user_id: user.id,
+        display_name: displayName.trim(),
+        website: website || null,
+        support_email: supportEmail || null,
+        created_at: existing?.created_at || now,
+        updated_at: now
+      }, { onConflict: 'user_id' })
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    // Listings show the current name
+    if (existing && existing.display_name !== developer.display_name) {
+      await supabase
+        .from('apps')
+        .update({ developer_name: developer.display_name })
+        .eq('developer_id', user.id);
+    }
+    
+    return NextResponse.json({
+      success: true,
+      developer: formatDeveloper(developer)
+    });
+    
+  } catch (error) {
+    console.error('Developer update error:', error);
+    return NextResponse.json(
+      { error: 'Failed to save developer account' },
+      { status: 500 }
+    );
+  }
+});
+
+function formatDeveloper(developer) {
+  return {
+    id: developer.user_id,
+    displayName: developer.display_name,
+    website: developer.website,
+    supportEmail: developer.support_email,
+    createdAt: developer.created_at
+  };
+}
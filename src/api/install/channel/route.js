@@ -0,0 +1,140 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import { compareVersions } from '../../../lib/semver';
+import { listVersions, onChannel, CHANNELS, DEFAULT_CHANNEL } from '../../../lib/versions';
+import { withAuth } from '../../../lib/auth';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// The release channel of an installed app (?appId=) and the newest version
+// on each channel
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const { searchParams } = new URL(request.url);
+    const appId = searchParams.get('appId');
+    
+    if (!appId) {
+      return NextResponse.json(
+        { error: 'Missing parameters' },
+        { status: 400 }
+      );
+    }
+    
+    const installation = await getInstallation(user.id, appId);
+    
+    if (!installation) {
+      return NextResponse.json(
+        { error: 'App not installed' },
+        { status: 404 }
+      );
+    }
+    
+    return NextResponse.json({ success: true, ...(await channelStatus(installation)) });
+    
+  } catch (error) {
+    console.error('Channel lookup error:', error);
+    return NextResponse.json(
+      { error: 'Failed to load channel' },
+      { status: 500 }
+    );
+  }
+});
+
+// Opt an installed app into a channel: { appId, channel }. Nothing is
+// installed here; when the channel has a newer version, POST /api/install
+// updates to it.
+export const PUT = withAuth(async (request, { user }) => {
+  try {
+    const { appId, channel } = await request.json();
+    
+    if (!appId || !channel) {
+      return NextResponse.json(
+        { error: 'Missing parameters' },
+        { status: 400 }
+      );
+    }
+    
+    if (!CHANNELS.includes(channel)) {
+      return NextResponse.json(
+        { error: `Channel must be one of: ${CHANNELS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+    
+    const installation = await getInstallation(user.id, appId);
+    
+    if (!installation) {
+      return NextResponse.json(
+        { error: 'App not installed' },
+        { status: 404 }
+      );
+    }
+    
+    if (['pending', 'installing'].includes(installation.status)) {
+      return NextResponse.json(
+        { error: 'Installation in progress', status: installation.status },
+        { status: 409 }
+      );
+    }
+    
+    const { data: updated, error } = await supabase
+      .from('installations')
+      .update({ channel, updated_at: new Date().toISOString() })
+      .eq('id', installation.id)
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return NextResponse.json({ success: true, ...(await channelStatus(updated)) });
+    
+  } catch (error) {
+    console.error('Channel update error:', error);
+    return NextResponse.json(
+      { error: 'Failed to change channel' },
+      { status: 500 }
+    );
+  }
+});
+
+async function getInstallation(userId, appId) {
+  const { data, error } = await supabase
+    .from('installations')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('app_id', appId)
+    .neq('status', 'failed')
+    .order('installed_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  
+  if (error) {
+    throw error;
+  }
+  return data;
+}
+
+// Leaving for a more stable channel keeps the installed version until that
+// channel catches up; going back needs a rollback
+async function channelStatus(installation) {
+  const channel = installation.channel || DEFAULT_CHANNEL;
+  const versions = await listVersions(supabase, installation.app_id, { verifiedOnly: true });
+  const latest = Object.fromEntries(CHANNELS.map(name => [
+    name,
+    versions.find(version => onChannel(version, name))?.version || null
+  ]));
+  
+  return {
+    appId: installation.app_id,
+    channel,
+    installedVersion: installation.version,
+    latestVersion: latest[channel],
+    updateAvailable: Boolean(latest[channel]) && compareVersions(latest[channel], installation.version) > 0,
+    channels: latest
+  };
+}
@@ -0,0 +1,122 @@
+import { NextResponse } from 'next/server';
+import { getJob, cancelJob, subscribe, snapshot, isFinished } from '../../../lib/jobs';
+import { withAuth } from '../../../lib/auth';
+
+// Install progress as Server-Sent Events. Each event carries a job
+// snapshot; the stream ends with a `done` event once the job finishes.
+export const GET = withAuth(async (request, { user }) => {
+  const { searchParams } = new URL(request.url);
+  const jobId = searchParams.get('jobId');
+  
+  if (!jobId) {
+    return NextResponse.json(
+      { error: 'Missing parameters' },
+      { status: 400 }
+    );
+  }
+  
+  const job = getJob(jobId);
+  
+  // Other users' jobs are reported as missing
+  if (!job || job.meta.userId !== user.id) {
+    return NextResponse.json(
+      { error: 'Job not found' },
+      { status: 404 }
+    );
+  }
+  
+  // Plain JSON for clients that poll instead of streaming
+  if (!request.headers.get('accept')?.includes('text/event-stream')) {
+    return NextResponse.json(snapshot(job));
+  }
+  
+  const encoder = new TextEncoder();
+  let unsubscribe = () => {};
+  
+  const stream = new ReadableStream({
+    start(controller) {
+      const send = (event, data) => {
+        controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+      };
+      
+      const close = () => {
+        unsubscribe();
+        controller.close();
+      };
+      
+      if (isFinished(job)) {
+        send('done', snapshot(job));
+        close();
+        return;
+      }
+      
+      send('progress', snapshot(job));
+      
+      unsubscribe = subscribe(job, (update) => {
+        if (['completed', 'failed', 'cancelled'].includes(update.status)) {
+          send('done', update);
+          close();
+        } else {
+          send('progress', update);
+        }
+      });
+      
+      request.signal?.addEventListener('abort', () => unsubscribe());
+    },
+    
+    cancel() {
+      unsubscribe();
+    }
+  });
+  
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    }
+  });
+});
+
+// Cancel a running install; completed steps are rolled back
+export const DELETE = withAuth(async (request, { user }) => {
+  try {
+    const { jobId } = await request.json();
+    
+    if (!jobId) {
+      return NextResponse.json(
+        { error: 'Missing parameters' },
+        { status: 400 }
+      );
+    }
+    
+    if (getJob(jobId)?.meta.userId !== user.id) {
+      return NextResponse.json(
+        { error: 'Job not found' },
+        { status: 404 }
+      );
+    }
+    
+    const job = cancelJob(jobId);
+    
+    if (isFinished(job)) {
+      return NextResponse.json(
+        { error: `Job already ${job.status}`, job: snapshot(job) },
+        { status: 409 }
+      );
+    }
+    
+    return NextResponse.json({
+      success: true,
+      job: snapshot(job)
+    });
+    
+  } catch (error) {
+    console.error('Cancel error:', error);
+    return NextResponse.json(
+      { error: 'Failed to cancel job' },
+      { status: 500 }
+    );
+  }
+});
@@ -1,242 +1,1438 @@
 import { NextResponse } from 'next/server';
 import { createClient } from '@supabase/supabase-js';
-import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
-import JSZip from 'jszip';
-import decompress from 'decompress';
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import fs from 'fs/promises';
 import path from 'path';
+import { compareVersions } from '../../lib/semver';
+import { normalizePermissions, resolveGrants, saveGrants } from '../../lib/permissions';
+import { readApkManifest } from '../../lib/axml';
+import { openArchive, safeExtract, ExtractionError } from '../../lib/extract';
+import { getStorage, storageKeyFor, downloadToFile } from '../../lib/storage';
+import { createTransaction } from '../../lib/transaction';
+import { resolveDependencies, findDependents } from '../../lib/dependencies';
+import { checkQuota, directorySize, QuotaExceededError } from '../../lib/quota';
+import { readSignatureBlock, verifyPackage, requiresSignature, SignatureError } from '../../lib/signing';
+import { applyDelta, DeltaError } from '../../lib/delta';
+import { validateManifest, readArchiveManifest, ManifestError, MANIFEST_FILE } from '../../lib/manifest';
+import {
+  createJob,
+  getJob,
+  isFinished,
+  reportProgress,
+  completeJob,
+  failJob,
+  JobCancelledError
+} from '../../lib/jobs';
+import { iconUrls } from '../../lib/images';
+import { resolveVersion, mergeVersion, CHANNELS, DEFAULT_CHANNEL } from '../../lib/versions';
+import { withAuth } from '../../lib/auth';
 
-const execAsync = promisify(exec);
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 );
 
-const s3Client = new S3Client({
-  region: process.env.AWS_REGION,
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+// Previous versions kept on disk for rollback
+const MAX_RETAINED_VERSIONS = 3;
+
+// Install jobs only live in the process running them. An unfinished
+// installation whose job is not here and that has not moved for this long
+// died with its server.
+const STALE_INSTALL_AFTER = 30 * 60 * 1000; // 30 minutes
+
+class InstallConflictError extends Error {
+  constructor(message = 'Installation already in progress') {
+    super(message);
+    this.name = 'InstallConflictError';
   }
-});
+}
+
+const storage = getStorage();
 
-export async function POST(request) {
+export const POST = withAuth(async (request, { user }) => {
   try {
-    const { appId, userId } = await request.json();
+    const {
+      appId,
+      version,
+      channel,
+      rollback = false,
+      grantedPermissions,
+      installDependencies = false,
+      dependencyPermissions = {},
+      background = false
+    } = await request.json();
     
-    if (!appId || !userId) {
+    // Apps are only ever installed for the signed-in user
+    const userId = user.id;
+    
+    if (!appId) {
       return NextResponse.json(
         { error: 'Missing parameters' },
         { status: 400 }
       );
     }
     
-    // Get app details
-    const { data: app, error: appError } = await supabase
-      .from('apps')
+    if (channel !== undefined && !CHANNELS.includes(channel)) {
+      return NextResponse.json(
+        { error: `Channel must be one of: ${CHANNELS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+    
+    // Look for an existing installation to upgrade or roll back
+    let { data: existing } = await supabase
+      .from('installations')
       .select('*')
-      .eq('id', appId)
-      .single();
+      .eq('user_id', userId)
+      .eq('app_id', appId)
+      .order('installed_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    
+    if (existing && ['pending', 'installing'].includes(existing.status)) {
+      const recovered = isStaleInstall(existing) && await recoverInstallation(existing);
+      
+      if (!recovered) {
+        return NextResponse.json(
+          { error: 'Installation already in progress', status: existing.status },
+          { status: 409 }
+        );
+      }
+      existing = recovered;
+    }
+    
+    // A failed install whose cleanup did not finish is not an installation
+    if (existing?.status === 'failed') {
+      existing = null;
+    }
     
-    if (appError || !app) {
+    if (rollback) {
+      if (!existing) {
+        return NextResponse.json(
+          { error: 'App not installed' },
+          { status: 404 }
+        );
+      }
+      
+      return await rollbackInstallation(existing);
+    }
+    
+    // The newest verified version on the installation's channel, unless a
+    // version is pinned. Passing a channel switches the installation to it.
+    const installChannel = channel || existing?.channel || DEFAULT_CHANNEL;
+    const resolved = await resolveVersion(supabase, appId, { version, channel: installChannel });
+    
+    // Unpublished listings stay installable for their developer only
+    if (!resolved || (resolved.app.published === false && resolved.app.developer_id !== userId)) {
       return NextResponse.json(
         { error: 'App not found' },
         { status: 404 }
       );
     }
     
+    if (version && !resolved.release) {
+      return NextResponse.json(
+        {
+          error: `Version ${version} not found`,
+          availableVersions: resolved.versions.filter(candidate => candidate.verified).map(candidate => candidate.version)
+        },
+        { status: 404 }
+      );
+    }
+    
+    const app = resolved.release && mergeVersion(resolved.app, resolved.release);
+    
     // Check if app is verified
-    if (!app.verified) {
+    if (!app?.verified) {
       return NextResponse.json(
         { error: 'App not verified. Please wait for scanning to complete.' },
         { status: 403 }
       );
     }
     
-    // Download app from S3
-    const s3Key = app.download_url.split('.s3.amazonaws.com/')[1];
+    // Block accidental downgrades; rollback is the only way back
+    if (existing) {
+      let comparison;
+      try {
+        comparison = compareVersions(app.version, existing.version);
+      } catch (error) {
+        return NextResponse.json(
+          { error: `Cannot compare versions: ${error.message}` },
+          { status: 409 }
+        );
+      }
+      
+      if (comparison < 0) {
+        return NextResponse.json(
+          {
+            error: `Installed version ${existing.version} is newer than ${app.version}. Use rollback to downgrade.`,
+            installedVersion: existing.version,
+            availableVersion: app.version
+          },
+          { status: 409 }
+        );
+      }
+    }
     
-    const { Body: fileStream } = await s3Client.send(new GetObjectCommand({
-      Bucket: process.env.S3_BUCKET,
-      Key: s3Key
-    }));
+    // Permissions need the user's consent before anything is installed
+    const requestedPermissions = normalizePermissions(app.permissions);
+    let consent;
+    
+    if (grantedPermissions !== undefined) {
+      consent = resolveGrants(requestedPermissions, grantedPermissions);
+      
+      if (consent.invalid.length > 0) {
+        return NextResponse.json(
+          {
+            error: 'Cannot grant permissions the app did not request',
+            permissions: consent.invalid
+          },
+          { status: 400 }
+        );
+      }
+    } else {
+      // Upgrades reuse earlier decisions and only ask about new permissions
+      const decided = existing
+        ? normalizePermissions(existing.requested_permissions || existing.permissions)
+        : [];
+      const undecided = requestedPermissions.filter(permission => !decided.includes(permission));
+      
+      if (undecided.length > 0) {
+        return NextResponse.json(
+          {
+            error: 'Permission consent required',
+            consentRequired: true,
+            appId,
+            requestedPermissions,
+            newPermissions: undecided
+          },
+          { status: 428 }
+        );
+      }
+      
+      consent = resolveGrants(requestedPermissions, existing ? existing.permissions : []);
+    }
+    
+    const storageKey = storageKeyFor(app);
     
-    // Convert stream to buffer
-    const chunks = [];
-    for await (const chunk of fileStream) {
-      chunks.push(chunk);
+    if (!storageKey) {
+      return NextResponse.json(
+        { error: 'App package is missing from storage' },
+        { status: 404 }
+      );
     }
-    const buffer = Buffer.concat(chunks);
     
-    // Create installation directory
-    const installDir = `/tmp/fireos/apps/${appId}_${Date.now()}`;
-    await fs.mkdir(installDir, { recursive: true });
+    // Resolve apps this one depends on
+    const dependencyPlan = await resolveDependencies(supabase, app, userId);
     
-    // Extract APK/ZIP
-    let extractedFiles;
+    if (dependencyPlan.errors.length > 0) {
+      return NextResponse.json(
+        {
+          error: 'Dependency resolution failed',
+          dependencyErrors: dependencyPlan.errors
+        },
+        { status: 409 }
+      );
+    }
     
-    if (app.download_url.endsWith('.apk')) {
-      // For APK files, use apktool to decompile
-      const apkPath = path.join(installDir, 'app.apk');
-      await fs.writeFile(apkPath, buffer);
+    const missingDependencies = dependencyPlan.install.map(dependency => ({
+      appId: dependency.id,
+      name: dependency.name,
+      version: dependency.version,
+      requestedPermissions: normalizePermissions(dependency.permissions)
+    }));
+    
+    if (missingDependencies.length > 0 && !installDependencies) {
+      return NextResponse.json(
+        {
+          error: 'Missing dependencies',
+          dependencies: missingDependencies
+        },
+        { status: 424 }
+      );
+    }
+    
+    // Dependencies go through the same consent step as the app itself
+    const dependencyGrants = {};
+    
+    for (const dependency of missingDependencies) {
+      const granted = dependencyPermissions[dependency.appId];
       
-      // Decompile APK
-      await execAsync(`apktool d ${apkPath} -o ${installDir}/decompiled`);
+      if (granted === undefined) {
+        if (dependency.requestedPermissions.length > 0) {
+          return NextResponse.json(
+            {
+              error: 'Permission consent required',
+              consentRequired: true,
+              appId,
+              dependencies: missingDependencies.filter(d => d.requestedPermissions.length > 0)
+            },
+            { status: 428 }
+          );
+        }
+        dependencyGrants[dependency.appId] = [];
+        continue;
+      }
       
-      extractedFiles = await fs.readdir(path.join(installDir, 'decompiled'));
-    } else {
-      // For ZIP files, extract normally
-      extractedFiles = await decompress(buffer, installDir);
+      const resolved = resolveGrants(dependency.requestedPermissions, granted);
+      
+      if (resolved.invalid.length > 0) {
+        return NextResponse.json(
+          {
+            error: 'Cannot grant permissions the app did not request',
+            appId: dependency.appId,
+            permissions: resolved.invalid
+          },
+          { status: 400 }
+        );
+      }
+      dependencyGrants[dependency.appId] = resolved.granted;
     }
     
-    // Parse manifest
-    const manifestPath = path.join(installDir, 
-      app.download_url.endsWith('.apk') ? 'decompiled/AndroidManifest.xml' : 'manifest.json'
+    // Everything below runs as a job that reports progress over
+    // /api/install/jobs and can be cancelled from there.
+    const job = createJob('install', { appId, userId, appName: app.name, version: app.version });
+    
+    const run = runInstallJob(job, {
+      app,
+      userId,
+      existing,
+      storageKey,
+      channel: installChannel,
+      grantedPermissions: consent.granted,
+      dependencyPlan,
+      dependencyGrants
+    });
+    
+    if (background) {
+      run.catch(error => console.error('Install job error:', error));
+      
+      return NextResponse.json(
+        {
+          success: true,
+          jobId: job.id,
+          progressUrl: `/api/install/jobs?jobId=${job.id}`
+        },
+        { status: 202 }
+      );
+    }
+    
+    const { status, body } = await run;
+    return NextResponse.json(body, { status });
+    
+  } catch (error) {
+    console.error('Install error:', error);
+    return NextResponse.json(
+      { error: 'Installation failed: ' + error.message },
+      { status: 500 }
     );
+  }
+});
+
+// Packages are extracted into a staging directory first and each completed
+// step is undone if a later one fails, including dependency installs.
+async function runInstallJob(job, plan) {
+  const { app, userId, existing, storageKey, channel, grantedPermissions, dependencyPlan, dependencyGrants } = plan;
+  
+  const transaction = createTransaction({
+    signal: job.controller.signal,
+    onProgress: (stage, progress) => reportProgress(job, stage, {
+      app: transaction.currentApp,
+      ...progress
+    })
+  });
+  
+  try {
+    const installedDependencies = [];
     
-    let manifest;
-    try {
-      const manifestContent = await fs.readFile(manifestPath, 'utf8');
-      manifest = JSON.parse(manifestContent);
-    } catch {
-      // Try to parse AndroidManifest.xml
-      manifest = await parseAndroidManifest(manifestPath);
+    for (const dependency of dependencyPlan.install) {
+      const dependencyKey = storageKeyFor(dependency);
+      
+      if (!dependencyKey) {
+        throw new Error(`Package for dependency ${dependency.name} is missing from storage`);
+      }
+      
+      const installed = await installFresh(transaction, {
+        ...installContext(dependency, userId, dependencyKey, dependencyGrants[dependency.id]),
+        jobId: job.id
+      });
+      installedDependencies.push(installed.installation);
+    }
+    
+    const context = { ...installContext(app, userId, storageKey, grantedPermissions), channel, jobId: job.id };
+    
+    const result = existing
+      ? await upgradeInstallation(transaction, existing, context)
+      : await installFresh(transaction, context);
+    
+    const body = {
+      ...result,
+      jobId: job.id,
+      dependencies: {
+        installed: installedDependencies,
+        satisfied: dependencyPlan.satisfied
+      }
+    };
+    
+    completeJob(job, body);
+    return { status: 200, body };
+    
+  } catch (error) {
+    const failure = await failInstall(transaction, error);
+    let status = 500;
+    let body;
+    
+    if (error instanceof JobCancelledError) {
+      status = 409;
+      body = { error: 'Installation cancelled', cancelled: true, ...failure };
+    } else if (error instanceof ExtractionError) {
+      status = 400;
+      body = { error: error.message, violations: error.violations, ...failure };
+    } else if (error instanceof QuotaExceededError) {
+      status = 413;
+      body = { error: error.message, quota: error.details, ...failure };
+    } else if (error instanceof SignatureError) {
+      status = 403;
+      body = { error: error.message, problems: error.problems, ...failure };
+    } else if (error instanceof ManifestError) {
+      status = 400;
+      body = { error: error.message, errors: error.errors, ...failure };
+    } else if (error instanceof InstallConflictError) {
+      status = 409;
+      body = { error: error.message, ...failure };
+    } else {
+      console.error('Install error:', error);
+      body = { error: 'Installation failed: ' + error.message, ...failure };
     }
     
-    // Create app entry in user's installed apps
-    const { data: installation, error: installError } = await supabase
+    failJob(job, error, { ...body, jobId: job.id });
+    return { status, body: { ...body, jobId: job.id } };
+  }
+}
+
+function installContext(app, userId, storageKey, grantedPermissions) {
+  const installDir = `/tmp/fireos/apps/${app.id}_${Date.now()}`;
+  
+  return {
+    app,
+    userId,
+    storageKey,
+    grantedPermissions,
+    stagingDir: stagingDirFor(installDir),
+    installDir,
+    dataDir: `/userdata/${userId}/apps/${app.id}`
+  };
+}
+
+// The staging directory is named after the install directory, so it can
+// be found again from an installation row
+function stagingDirFor(installDir) {
+  return path.join('/tmp/fireos/staging', path.basename(installDir));
+}
+
+async function installFresh(transaction, context) {
+  const { app, userId, stagingDir, installDir, dataDir } = context;
+  
+  transaction.currentApp = app.name;
+  
+  // Register the installation so its progress is visible
+  const installation = await transaction.step('register', async () => {
+    const { data, error } = await supabase
       .from('installations')
       .insert({
         user_id: userId,
-        app_id: appId,
+        app_id: app.id,
         installed_at: new Date().toISOString(),
         installation_path: installDir,
         version: app.version,
-        status: 'installed',
-        permissions: manifest.permissions || [],
-        data_path: `/userdata/${userId}/apps/${appId}`
+        version_id: app.version_id,
+        channel: context.channel || DEFAULT_CHANNEL,
+        status: 'pending',
+        job_id: context.jobId,
+        pending_path: installDir,
+        permissions: [],
+        data_path: dataDir,
+        updated_at: new Date().toISOString()
       })
       .select()
       .single();
     
-    if (installError) {
-      throw installError;
+    if (error) {
+      throw error;
     }
     
-    // Create app data directory
-    const dataDir = `/userdata/${userId}/apps/${appId}`;
-    await fs.mkdir(dataDir, { recursive: true });
+    // Two first installs started together both get this far; neither
+    // carries on
+    const { data: others } = await supabase
+      .from('installations')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('app_id', app.id)
+      .in('status', ['pending', 'installing'])
+      .neq('id', data.id);
     
-    // Copy necessary files to data directory
-    await fs.cp(
-      installDir,
-      dataDir,
-      { recursive: true }
-    );
+    if ((others || []).some(other => !isStaleInstall(other))) {
+      await supabase
+        .from('installations')
+        .delete()
+        .eq('id', data.id);
+      throw new InstallConflictError();
+    }
+    return data;
+  }, async (row) => {
+    await supabase
+      .from('installations')
+      .delete()
+      .eq('id', row.id);
+  });
+  
+  transaction.installationId = installation.id;
+  
+  const manifest = await stagePackage(transaction, context);
+  
+  await transaction.step('quota', async () =>
+    checkQuota(supabase, userId, app.id, await directorySize(stagingDir))
+  );
+  
+  // Only permissions the package itself declares can be granted
+  const packagePermissions = normalizePermissions(manifest.permissions);
+  const permissions = resolveGrants(packagePermissions, context.grantedPermissions).granted;
+  
+  await transaction.step('prepare', () => setStatus(installation.id, 'installing', { from: 'pending' }));
+  
+  await transaction.step('commit-files', async () => {
+    await fs.mkdir(path.dirname(installDir), { recursive: true });
+    await fs.rename(stagingDir, installDir);
+  }, () => removeDirectory(installDir));
+  
+  // Copy necessary files to data directory, which may already hold data
+  // kept from an earlier uninstall
+  await transaction.step('copy-data', async () => {
+    let existed = true;
+    try {
+      await fs.access(dataDir);
+    } catch {
+      existed = false;
+    }
     
-    // Generate runtime configuration
-    const runtimeConfig = {
-      appId,
-      version: app.version,
-      permissions: manifest.permissions || [],
-      entryPoint: manifest.entryPoint || 'index.html',
-      type: manifest.type || 'webview',
-      sandboxed: true,
-      dataPath: dataDir,
-      cachePath: `/cache/${userId}/apps/${appId}`,
-      createdAt: new Date().toISOString()
-    };
+    const before = existed ? new Set(await listFiles(dataDir)) : new Set();
+    const previousRuntime = existed ? await readRuntimeConfig(dataDir) : null;
     
-    await fs.writeFile(
-      path.join(dataDir, 'runtime.json'),
-      JSON.stringify(runtimeConfig, null, 2)
-    );
+    await fs.mkdir(dataDir, { recursive: true });
+    await fs.cp(installDir, dataDir, { recursive: true });
     
-    // Update app download count
-    await supabase
-      .from('apps')
-      .update({ downloads: (app.downloads || 0) + 1 })
-      .eq('id', appId);
-    
-    // Create desktop shortcut
-    const shortcut = {
-      name: app.name,
-      icon: app.icon_url,
-      exec: `fireos://app/${appId}`,
-      type: 'application',
-      categories: manifest.categories || ['Utility']
-    };
+    return { existed, before, previousRuntime };
+  }, async ({ existed, before, previousRuntime }) => {
+    if (!existed) {
+      await removeDirectory(dataDir);
+      return;
+    }
     
+    for (const file of await listFiles(dataDir)) {
+      if (!before.has(file)) {
+        await fs.rm(path.join(dataDir, file), { force: true });
+      }
+    }
+    if (previousRuntime) {
+      await writeRuntimeConfig(dataDir, previousRuntime);
+    }
+  });
+  
+  // Generate runtime configuration
+  const runtimeConfig = buildRuntimeConfig({ app, manifest, userId, dataDir, permissions });
+  
+  await transaction.step('runtime-config', () => writeRuntimeConfig(dataDir, runtimeConfig));
+  
+  await transaction.step('permissions', () => saveGrants(supabase, installation.id, permissions), async () => {
     await supabase
+      .from('permission_grants')
+      .delete()
+      .eq('installation_id', installation.id);
+  });
+  
+  // Create desktop shortcut
+  const shortcut = buildShortcut(app, manifest);
+  
+  await transaction.step('shortcut', async () => {
+    const { data, error } = await supabase
       .from('shortcuts')
       .insert({
         user_id: userId,
-        app_id: appId,
+        app_id: app.id,
         shortcut_config: shortcut,
         created_at: new Date().toISOString()
-      });
+      })
+      .select('id')
+      .single();
     
-    return NextResponse.json({
-      success: true,
-      installation: {
-        id: installation.id,
-        appId,
-        appName: app.name,
+    if (error) {
+      throw error;
+    }
+    return data;
+  }, async (row) => {
+    await supabase
+      .from('shortcuts')
+      .delete()
+      .eq('id', row.id);
+  });
+  
+  const completed = await transaction.step('finalize', async () => {
+    const { data, error } = await supabase
+      .from('installations')
+      .update({
+        status: 'installed',
+        package_hash: app.hash || null,
+        permissions,
+        requested_permissions: packagePermissions,
+        pending_path: null,
+        installed_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', installation.id)
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    return data;
+  });
+  
+  // Only count downloads that ended in an installation
+  await countDownload(app);
+  
+  return {
+    success: true,
+    installation: {
+      id: completed.id,
+      appId: app.id,
+      appName: app.name,
+      version: app.version,
+      channel: completed.channel,
+      status: completed.status,
+      installedAt: completed.installed_at,
+      dataPath: dataDir,
+      permissions: {
+        requested: packagePermissions,
+        granted: permissions
+      },
+      runtimeConfig
+    },
+    shortcut
+  };
+}
+
+async function upgradeInstallation(transaction, installation, context) {
+  const { app, userId, stagingDir, installDir, dataDir } = context;
+  
+  transaction.currentApp = app.name;
+  
+  // Only one install gets to move the installation on; a failure before
+  // that must not touch the row another install is working on
+  await transaction.step('prepare', () => setStatus(installation.id, 'installing', {
+    from: installation.status,
+    previous_status: installation.status,
+    job_id: context.jobId,
+    pending_path: installDir
+  }), () => setStatus(installation.id, installation.status));
+  
+  transaction.installationId = installation.id;
+  
+  const manifest = await stageUpgrade(transaction, installation, context);
+  
+  // The old version's files are replaced, so only the growth counts
+  await transaction.step('quota', async () =>
+    checkQuota(supabase, userId, app.id, await directorySize(stagingDir), {
+      replacedBytes: await directorySize(installation.installation_path)
+    })
+  );
+  
+  const packagePermissions = normalizePermissions(manifest.permissions);
+  const permissions = resolveGrants(packagePermissions, context.grantedPermissions).granted;
+  const previousRuntime = await readRuntimeConfig(dataDir);
+  
+  // Archive the current version so it can be rolled back to
+  await transaction.step('archive', async () => {
+    const { data, error } = await supabase
+      .from('installation_versions')
+      .insert({
+        installation_id: installation.id,
+        version: installation.version,
+        version_id: installation.version_id || null,
+        installation_path: installation.installation_path,
+        package_hash: installation.package_hash || null,
+        permissions: installation.permissions || [],
+        requested_permissions: installation.requested_permissions || [],
+        runtime_config: previousRuntime,
+        archived_at: new Date().toISOString()
+      })
+      .select('id')
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    return data;
+  }, async (row) => {
+    await supabase
+      .from('installation_versions')
+      .delete()
+      .eq('id', row.id);
+  });
+  
+  await transaction.step('commit-files', async () => {
+    await fs.mkdir(path.dirname(installDir), { recursive: true });
+    await fs.rename(stagingDir, installDir);
+  }, () => removeDirectory(installDir));
+  
+  // Swap the app files, leaving data the app created untouched
+  await transaction.step('copy-data', async () => {
+    await fs.mkdir(dataDir, { recursive: true });
+    await replaceAppFiles(dataDir, installation.installation_path, installDir);
+  }, () => replaceAppFiles(dataDir, installDir, installation.installation_path));
+  
+  const runtimeConfig = {
+    ...buildRuntimeConfig({ app, manifest, userId, dataDir, permissions }),
+    createdAt: previousRuntime?.createdAt || installation.installed_at,
+    previousVersion: installation.version,
+    upgradedAt: new Date().toISOString()
+  };
+  
+  await transaction.step('runtime-config', () => writeRuntimeConfig(dataDir, runtimeConfig), async () => {
+    if (previousRuntime) {
+      await writeRuntimeConfig(dataDir, previousRuntime);
+    }
+  });
+  
+  await transaction.step('permissions', () => saveGrants(supabase, installation.id, permissions),
+    () => saveGrants(supabase, installation.id, installation.permissions || []));
+  
+  // Refresh the existing shortcut instead of adding a duplicate
+  const shortcut = buildShortcut(app, manifest);
+  
+  await transaction.step('shortcut', async () => {
+    const { data, error } = await supabase
+      .from('shortcuts')
+      .select('id, shortcut_config')
+      .eq('user_id', userId)
+      .eq('app_id', app.id);
+    
+    if (error) {
+      throw error;
+    }
+    
+    await supabase
+      .from('shortcuts')
+      .update({ shortcut_config: shortcut })
+      .eq('user_id', userId)
+      .eq('app_id', app.id);
+    
+    return data || [];
+  }, async (previous) => {
+    for (const row of previous) {
+      await supabase
+        .from('shortcuts')
+        .update({ shortcut_config: row.shortcut_config })
+        .eq('id', row.id);
+    }
+  });
+  
+  const upgraded = await transaction.step('finalize', async () => {
+    const { data, error } = await supabase
+      .from('installations')
+      .update({
+        installation_path: installDir,
         version: app.version,
-        installedAt: installation.installed_at,
-        dataPath: dataDir,
-        runtimeConfig
+        version_id: app.version_id,
+        channel: context.channel || installation.channel || DEFAULT_CHANNEL,
+        status: 'installed',
+        package_hash: app.hash || null,
+        permissions,
+        requested_permissions: packagePermissions,
+        pending_path: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', installation.id)
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    return data;
+  });
+  
+  await pruneVersionHistory(installation.id);
+  
+  // Update app download count
+  await countDownload(app);
+  
+  return {
+    success: true,
+    upgraded: true,
+    previousVersion: installation.version,
+    installation: {
+      id: upgraded.id,
+      appId: app.id,
+      appName: app.name,
+      version: app.version,
+      channel: upgraded.channel,
+      status: upgraded.status,
+      installedAt: upgraded.installed_at,
+      dataPath: dataDir,
+      permissions: {
+        requested: packagePermissions,
+        granted: permissions
       },
-      shortcut
+      runtimeConfig
+    },
+    shortcut
+  };
+}
+
+// Upgrades apply a delta to a copy of the installed files when one exists
+// for the installed version, and fall back to the full package otherwise
+async function stageUpgrade(transaction, installation, context) {
+  const { app, storageKey, stagingDir } = context;
+  
+  // Legacy apps (no version id) have no deltas either
+  if (storageKey.endsWith('.apk') || !app.version_id) {
+    return stagePackage(transaction, context);
+  }
+  
+  const { data: deltas } = await supabase
+    .from('app_deltas')
+    .select('*')
+    .eq('app_id', app.id)
+    .eq('version_id', app.version_id);
+  
+  // Older installations did not record which package they came from
+  const delta = (deltas || []).find(candidate => installation.package_hash
+    ? candidate.from_hash === installation.package_hash
+    : candidate.from_version === installation.version);
+  
+  if (!delta) {
+    return stagePackage(transaction, context);
+  }
+  
+  try {
+    return await stageDelta(transaction, installation, delta, context);
+  } catch (error) {
+    if (error instanceof JobCancelledError) {
+      throw error;
+    }
+    
+    console.error('Delta update failed, downloading full package:', error);
+    transaction.progress({ fallback: 'full', reason: error.message });
+    await removeDirectory(stagingDir);
+    await fs.rm(`${stagingDir}.delta`, { force: true });
+    return stagePackage(transaction, context);
+  }
+}
+
+async function stageDelta(transaction, installation, delta, { stagingDir }) {
+  const deltaPath = `${stagingDir}.delta`;
+  
+  const downloaded = await transaction.step('download-delta', async () => {
+    await fs.mkdir(path.dirname(deltaPath), { recursive: true });
+    return downloadToFile(await storage.getStream(delta.storage_key), deltaPath, {
+      signal: transaction.signal,
+      onProgress: (received) => transaction.progress({ received, total: delta.size })
     });
+  }, () => fs.rm(deltaPath, { force: true }));
+  
+  const summary = await transaction.step('apply-delta', async () => {
+    if (downloaded.hash !== delta.hash) {
+      throw new DeltaError('Delta does not match its recorded hash');
+    }
+    
+    // Patch a copy so the installed version stays intact until commit
+    await fs.cp(installation.installation_path, stagingDir, { recursive: true });
+    const applied = await applyDelta(await openArchive(await fs.readFile(deltaPath)), stagingDir);
     
+    await fs.rm(deltaPath, { force: true });
+    return applied;
+  }, () => removeDirectory(stagingDir));
+  
+  transaction.progress({ delta: { fromVersion: delta.from_version, size: delta.size, ...summary } });
+  
+  return transaction.step('manifest', () => readStagedManifest(stagingDir));
+}
+
+// Download, extract and parse the package into the staging directory
+async function stagePackage(transaction, { app, storageKey, stagingDir }) {
+  const downloadPath = `${stagingDir}.download`;
+  
+  // Stream the package to disk instead of holding it in memory, hashing
+  // it on the way
+  const downloaded = await transaction.step('download', async () => {
+    const object = await storage.head(storageKey);
+    const total = object?.size ?? null;
+    let lastReport = 0;
+    
+    await fs.mkdir(path.dirname(downloadPath), { recursive: true });
+    return downloadToFile(await storage.getStream(storageKey), downloadPath, {
+      signal: transaction.signal,
+      onProgress: (received) => {
+        // Throttle updates to a few per second
+        if (Date.now() - lastReport > 250 || received === total) {
+          lastReport = Date.now();
+          transaction.progress({ received, total });
+        }
+      }
+    });
+  }, () => fs.rm(downloadPath, { force: true }));
+  
+  // Reject packages that changed in storage since upload or whose
+  // developer signature no longer holds. The hash was taken while
+  // downloading; the package is only read back to look inside it, once,
+  // for the signature, the manifest and extraction.
+  const archive = await transaction.step('verify', async () => {
+    if (app.hash && downloaded.hash !== app.hash) {
+      throw new SignatureError('Package does not match the uploaded file', [
+        { reason: 'Hash mismatch', expected: app.hash, actual: downloaded.hash }
+      ]);
+    }
+    
+    const opened = await openArchive(await fs.readFile(downloadPath));
+    
+    // Apps uploaded before signing was introduced carry no key
+    if (app.signing_key_id && requiresSignature(app.type)) {
+      const { data: key } = await supabase
+        .from('developer_keys')
+        .select('public_key, revoked_at')
+        .eq('id', app.signing_key_id)
+        .maybeSingle();
+      
+      if (!key || key.revoked_at) {
+        throw new SignatureError('Signing key has been revoked');
+      }
+      
+      await verifyPackage(opened, await readSignatureBlock(opened), key.public_key);
+    }
+    
+    return opened;
+  });
+  
+  await transaction.step('extract', async () => {
+    await fs.mkdir(stagingDir, { recursive: true });
+    
+    if (storageKey.endsWith('.apk')) {
+      // APKs are kept whole
+      await fs.rename(downloadPath, path.join(stagingDir, 'app.apk'));
+    } else {
+      // For ZIP files, extract with traversal and size checks
+      await safeExtract(archive, stagingDir);
+      await fs.rm(downloadPath, { force: true });
+    }
+  }, () => removeDirectory(stagingDir));
+  
+  return transaction.step('manifest', async () => {
+    if (storageKey.endsWith('.apk')) {
+      // The binary manifest is decoded in-process
+      return {
+        ...(await readApkManifest(archive)),
+        type: 'apk',
+        entryPoint: 'app.apk'
+      };
+    }
+    
+    return readArchiveManifest(archive);
+  });
+}
+
+// Manifest of a package patched on disk, checked against the files there
+async function readStagedManifest(stagingDir) {
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(path.join(stagingDir, MANIFEST_FILE), 'utf8'));
   } catch (error) {
-    console.error('Install error:', error);
+    throw new ManifestError(`Package has no valid ${MANIFEST_FILE}`, [
+      { field: null, message: error.message }
+    ]);
+  }
+  
+  const errors = validateManifest(manifest, { files: await listFiles(stagingDir) });
+  
+  if (errors.length > 0) {
+    throw new ManifestError('Invalid manifest', errors);
+  }
+  return manifest;
+}
+
+// Record the failure, then undo every completed step
+async function failInstall(transaction, error) {
+  const failedStep = transaction.currentStep;
+  
+  if (transaction.installationId) {
+    await supabase
+      .from('installations')
+      .update({
+        status: 'failed',
+        failed_step: failedStep,
+        error: error.message
+      })
+      .eq('id', transaction.installationId);
+  }
+  
+  const { undone, failed } = await transaction.rollback();
+  
+  if (failed.length > 0) {
+    console.error('Install rollback incomplete:', failed);
+  }
+  
+  return {
+    failedStep,
+    failedApp: transaction.currentApp,
+    rolledBack: undone,
+    rollbackErrors: failed
+  };
+}
+
+// Downloads are counted for the app and for the version installed
+async function countDownload(app) {
+  await supabase
+    .from('apps')
+    .update({ downloads: (app.downloads || 0) + 1 })
+    .eq('id', app.id);
+  
+  if (!app.version_id) {
+    return;
+  }
+  
+  await supabase
+    .from('app_versions')
+    .update({ downloads: (app.version_downloads || 0) + 1 })
+    .eq('id', app.version_id);
+}
+
+// With `from`, only an installation still in that status is moved, so two
+// installs never both take it over. Other options are written with the
+// status.
+async function setStatus(installationId, status, { from, ...fields } = {}) {
+  let query = supabase
+    .from('installations')
+    .update({ status, ...fields, updated_at: new Date().toISOString() })
+    .eq('id', installationId);
+  
+  if (from) {
+    query = query.eq('status', from);
+  }
+  
+  const { data, error } = await query.select('id').maybeSingle();
+  
+  if (error) {
+    throw error;
+  }
+  if (!data) {
+    throw new InstallConflictError();
+  }
+}
+
+function isStaleInstall(installation) {
+  const job = installation.job_id && getJob(installation.job_id);
+  
+  if (job) {
+    return isFinished(job);
+  }
+  
+  const lastUpdate = new Date(installation.updated_at || installation.installed_at).getTime();
+  return Date.now() - lastUpdate > STALE_INSTALL_AFTER;
+}
+
+// Clean up after an install that died. An interrupted upgrade goes back to
+// the version it started from, whose files are still in place, so it can
+// be retried; an interrupted first install is marked failed. Files staged
+// for the new version are removed. Resolves with the updated row, or null
+// when another request got to it first.
+async function recoverInstallation(installation) {
+  const update = installation.previous_status === 'installed'
+    ? { status: 'installed' }
+    : { status: 'failed', error: 'Installation was interrupted' };
+  
+  const { data: recovered, error } = await supabase
+    .from('installations')
+    .update({ ...update, job_id: null, pending_path: null, updated_at: new Date().toISOString() })
+    .eq('id', installation.id)
+    .eq('status', installation.status)
+    .select()
+    .maybeSingle();
+  
+  if (error) {
+    throw error;
+  }
+  if (!recovered) {
+    return null;
+  }
+  
+  if (installation.pending_path && isWithin(installation.pending_path, '/tmp/fireos/apps')) {
+    const stagingDir = stagingDirFor(installation.pending_path);
+    
+    await removeDirectory(installation.pending_path);
+    await removeDirectory(stagingDir);
+    await fs.rm(`${stagingDir}.download`, { force: true });
+    await fs.rm(`${stagingDir}.delta`, { force: true });
+  }
+  return recovered;
+}
+
+async function rollbackInstallation(installation) {
+  const { data: previous } = await supabase
+    .from('installation_versions')
+    .select('*')
+    .eq('installation_id', installation.id)
+    .order('archived_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  
+  if (!previous) {
     return NextResponse.json(
-      { error: 'Installation failed: ' + error.message },
-      { status: 500 }
+      { error: 'No previous version to roll back to' },
+      { status: 409 }
+    );
+  }
+  
+  try {
+    await fs.access(previous.installation_path);
+  } catch {
+    return NextResponse.json(
+      { error: `Files for version ${previous.version} are no longer available` },
+      { status: 410 }
     );
   }
+  
+  const dataDir = installation.data_path;
+  
+  // Rolling back must not restore permissions the user has since revoked
+  const permissions = resolveGrants(previous.permissions, installation.permissions).granted;
+  
+  await replaceAppFiles(dataDir, installation.installation_path, previous.installation_path);
+  
+  const runtimeConfig = {
+    ...(previous.runtime_config || {}),
+    version: previous.version,
+    permissions,
+    restoredAt: new Date().toISOString()
+  };
+  
+  await writeRuntimeConfig(dataDir, runtimeConfig);
+  
+  const { data: restored, error: restoreError } = await supabase
+    .from('installations')
+    .update({
+      installation_path: previous.installation_path,
+      version: previous.version,
+      version_id: previous.version_id || null,
+      status: 'installed',
+      package_hash: previous.package_hash || null,
+      permissions,
+      requested_permissions: normalizePermissions(previous.requested_permissions),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', installation.id)
+    .select()
+    .single();
+  
+  if (restoreError) {
+    throw restoreError;
+  }
+  
+  await saveGrants(supabase, installation.id, permissions);
+  
+  await supabase
+    .from('installation_versions')
+    .delete()
+    .eq('id', previous.id);
+  
+  // The rolled back version is not kept in history
+  if (isWithin(installation.installation_path, '/tmp/fireos/apps')) {
+    await removeDirectory(installation.installation_path);
+  }
+  
+  return NextResponse.json({
+    success: true,
+    rolledBack: true,
+    previousVersion: installation.version,
+    installation: {
+      id: restored.id,
+      appId: restored.app_id,
+      version: restored.version,
+      installedAt: restored.installed_at,
+      dataPath: dataDir,
+      runtimeConfig
+    }
+  });
+}
+
+async function pruneVersionHistory(installationId) {
+  const { data: versions } = await supabase
+    .from('installation_versions')
+    .select('id, installation_path')
+    .eq('installation_id', installationId)
+    .order('archived_at', { ascending: false });
+  
+  const expired = (versions || []).slice(MAX_RETAINED_VERSIONS);
+  
+  for (const version of expired) {
+    if (isWithin(version.installation_path, '/tmp/fireos/apps')) {
+      await removeDirectory(version.installation_path);
+    }
+  }
+  
+  if (expired.length > 0) {
+    await supabase
+      .from('installation_versions')
+      .delete()
+      .in('id', expired.map(version => version.id));
+  }
+}
+
+// Remove files shipped by the old version that the new one no longer has,
+// then copy the new version's files over the data directory.
+async function replaceAppFiles(dataDir, oldDir, newDir) {
+  const oldFiles = oldDir ? await listFiles(oldDir) : [];
+  const newFiles = new Set(await listFiles(newDir));
+  
+  for (const file of oldFiles) {
+    if (!newFiles.has(file) && file !== 'runtime.json') {
+      await fs.rm(path.join(dataDir, file), { force: true });
+    }
+  }
+  
+  await fs.cp(newDir, dataDir, { recursive: true, force: true });
 }
 
-async function parseAndroidManifest(filePath) {
+async function listFiles(dir, prefix = '') {
+  let entries;
   try {
-    // Simple XML parsing for AndroidManifest.xml
-    const content = await fs.readFile(filePath, 'utf8');
-    
-    const manifest = {
-      package: extractXmlValue(content, 'package'),
-      versionCode: extractXmlValue(content, 'android:versionCode'),
-      versionName: extractXmlValue(content, 'android:versionName'),
-      permissions: []
+    entries = await fs.readdir(path.join(dir, prefix), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  
+  const files = [];
+  for (const entry of entries) {
+    const relative = path.join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(dir, relative));
+    } else {
+      files.push(relative);
+    }
+  }
+  return files;
+}
+
+function buildRuntimeConfig({ app, manifest, userId, dataDir, permissions }) {
+  return {
+    appId: app.id,
+    version: app.version,
+    permissions,
+    entryPoint: manifest.entryPoint || 'index.html',
+    type: manifest.type || 'webview',
+    sandboxed: true,
+    dataPath: dataDir,
+    cachePath: `/cache/${userId}/apps/${app.id}`,
+    createdAt: new Date().toISOString()
+  };
+}
+
+function buildShortcut(app, manifest) {
+  return {
+    name: app.name,
+    icon: iconUrls(app).desktop,
+    exec: `fireos://app/${app.id}`,
+    type: 'application',
+    categories: manifest.categories || ['Utility']
+  };
+}
+
+async function readRuntimeConfig(dataDir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(dataDir, 'runtime.json'), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function writeRuntimeConfig(dataDir, runtimeConfig) {
+  await fs.writeFile(
+    path.join(dataDir, 'runtime.json'),
+    JSON.stringify(runtimeConfig, null, 2)
+  );
+}
+
+export const DELETE = withAuth(async (request, { user }) => {
+  try {
+    const { appId, keepData = false } = await request.json();
+    const userId = user.id;
+    
+    if (!appId) {
+      return NextResponse.json(
+        { error: 'Missing parameters' },
+        { status: 400 }
+      );
+    }
+    
+    // Repeated installs leave several rows behind, so clean up all of them
+    const { data: installations, error: lookupError } = await supabase
+      .from('installations')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('app_id', appId);
+    
+    if (lookupError) {
+      throw lookupError;
+    }
+    
+    if (!installations || installations.length === 0) {
+      return NextResponse.json(
+        { error: 'App not installed' },
+        { status: 404 }
+      );
+    }
+    
+    // Refuse while another installed app still depends on this one
+    const { data: app } = await supabase
+      .from('apps')
+      .select('name, package_id')
+      .eq('id', appId)
+      .single();
+    
+    if (app?.package_id) {
+      const dependents = (await findDependents(supabase, userId, app.package_id))
+        .filter(dependent => dependent.appId !== appId);
+      
+      if (dependents.length > 0) {
+        return NextResponse.json(
+          {
+            error: `Cannot uninstall ${app.name}: other installed apps depend on it`,
+            dependents
+          },
+          { status: 409 }
+        );
+      }
+    }
+    
+    const removed = {
+      installations: [],
+      versions: 0,
+      shortcuts: 0,
+      directories: []
     };
+    const kept = [];
+    
+    const dataDir = `/userdata/${userId}/apps/${appId}`;
+    let cacheDir = `/cache/${userId}/apps/${appId}`;
+    
+    // Prefer the cache path recorded at install time
+    const runtimeConfig = await readRuntimeConfig(dataDir);
+    if (runtimeConfig?.cachePath) {
+      cacheDir = runtimeConfig.cachePath;
+    }
+    
+    // Include versions retained for rollback
+    const installationIds = installations.map(installation => installation.id);
+    const { data: archivedVersions } = await supabase
+      .from('installation_versions')
+      .select('id, installation_path')
+      .in('installation_id', installationIds);
+    
+    // Remove extracted install directories
+    const installDirs = [
+      ...installations.map(installation => installation.installation_path),
+      ...(archivedVersions || []).map(version => version.installation_path)
+    ];
+    
+    for (const installDir of installDirs) {
+      if (installDir && isWithin(installDir, '/tmp/fireos/apps') &&
+          await removeDirectory(installDir)) {
+        removed.directories.push(installDir);
+      }
+    }
+    
+    if (isWithin(cacheDir, `/cache/${userId}`) && await removeDirectory(cacheDir)) {
+      removed.directories.push(cacheDir);
+    }
+    
+    if (keepData) {
+      kept.push(dataDir);
+    } else if (isWithin(dataDir, '/userdata') && await removeDirectory(dataDir)) {
+      removed.directories.push(dataDir);
+    }
+    
+    // Remove desktop shortcuts (including duplicates)
+    const { data: shortcuts, error: shortcutError } = await supabase
+      .from('shortcuts')
+      .delete()
+      .eq('user_id', userId)
+      .eq('app_id', appId)
+      .select('id');
+    
+    if (shortcutError) {
+      throw shortcutError;
+    }
+    removed.shortcuts = shortcuts?.length || 0;
+    
+    const { data: deletedVersions, error: versionError } = await supabase
+      .from('installation_versions')
+      .delete()
+      .in('installation_id', installationIds)
+      .select('id');
+    
+    if (versionError) {
+      throw versionError;
+    }
+    removed.versions = deletedVersions?.length || 0;
+    
+    const { error: grantError } = await supabase
+      .from('permission_grants')
+      .delete()
+      .in('installation_id', installationIds);
+    
+    if (grantError) {
+      throw grantError;
+    }
+    
+    // Remove installation records last so a failed cleanup can be retried
+    const { data: deletedInstallations, error: deleteError } = await supabase
+      .from('installations')
+      .delete()
+      .eq('user_id', userId)
+      .eq('app_id', appId)
+      .select('id');
+    
+    if (deleteError) {
+      throw deleteError;
+    }
+    removed.installations = deletedInstallations.map(row => row.id);
+    
+    return NextResponse.json({
+      success: true,
+      appId,
+      removed,
+      kept
+    });
     
-    // Extract permissions
-    const permissionMatches = content.match(/<uses-permission[^>]+>/g) || [];
-    manifest.permissions = permissionMatches.map(tag => {
-      const nameMatch = tag.match(/android:name="([^"]+)"/);
-      return nameMatch ? nameMatch[1] : null;
-    }).filter(Boolean);
-    
-    // Extract activities
-    const activityMatches = content.match(/<activity[^>]+>/g) || [];
-    manifest.activities = activityMatches.map(tag => {
-      const nameMatch = tag.match(/android:name="([^"]+)"/);
-      return nameMatch ? nameMatch[1] : null;
-    }).filter(Boolean);
-    
-    return manifest;
   } catch (error) {
-    return {
-      permissions: [],
-      activities: []
-    };
+    console.error('Uninstall error:', error);
+    return NextResponse.json(
+      { error: 'Uninstall failed: ' + error.message },
+      { status: 500 }
+    );
+  }
+});
+
+async function removeDirectory(dir) {
+  try {
+    await fs.access(dir);
+  } catch {
+    return false;
   }
+  
+  await fs.rm(dir, { recursive: true, force: true });
+  return true;
 }
 
-function extractXmlValue(xml, attribute) {
-  const match = xml.match(new RegExp(`${attribute}="([^"]+)"`));
-  return match ? match[1] : null;
+function isWithin(target, root) {
+  const relative = path.relative(root, path.resolve(target));
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
 }
@@ -0,0 +1,164 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import {
+  normalizePermissions,
+  resolveGrants,
+  saveGrants,
+  syncRuntimePermissions
+} from '../../lib/permissions';
+import { withAuth } from '../../lib/auth';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Review the permissions of an installation
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const { searchParams } = new URL(request.url);
+    const installationId = searchParams.get('installationId');
+    
+    if (!installationId) {
+      return NextResponse.json(
+        { error: 'Missing parameters' },
+        { status: 400 }
+      );
+    }
+    
+    const installation = await getInstallation(installationId, user.id);
+    
+    if (!installation) {
+      return NextResponse.json(
+        { error: 'Installation not found' },
+        { status: 404 }
+      );
+    }
+    
+    const { data: grants, error: grantError } = await supabase
+      .from('permission_grants')
+      .select('permission, granted_at, revoked_at')
+      .eq('installation_id', installation.id)
+      .order('granted_at', { ascending: true });
+    
+    if (grantError) {
+      throw grantError;
+    }
+    
+    const requested = normalizePermissions(installation.requested_permissions);
+    const { granted, denied } = resolveGrants(requested, installation.permissions);
+    
+    return NextResponse.json({
+      success: true,
+      installationId: installation.id,
+      appId: installation.app_id,
+      permissions: requested.map(permission => {
+        const history = (grants || []).filter(grant => grant.permission === permission);
+        const latest = history[history.length - 1];
+        
+        return {
+          permission,
+          granted: granted.includes(permission),
+          grantedAt: latest?.granted_at || null,
+          revokedAt: latest?.revoked_at || null
+        };
+      }),
+      granted,
+      denied
+    });
+    
+  } catch (error) {
+    console.error('Permission lookup error:', error);
+    return NextResponse.json(
+      { error: 'Failed to load permissions: ' + error.message },
+      { status: 500 }
+    );
+  }
+});
+
+// Grant a permission the app requested but the user declined earlier
+export const POST = withAuth(async (request, { user }) => {
+  return updatePermission(request, user, 'grant');
+});
+
+// Revoke a single permission
+export const DELETE = withAuth(async (request, { user }) => {
+  return updatePermission(request, user, 'revoke');
+});
+
+async function updatePermission(request, user, action) {
+  try {
+    const { installationId, permission } = await request.json();
+    
+    if (!installationId || !permission) {
+      return NextResponse.json(
+        { error: 'Missing parameters' },
+        { status: 400 }
+      );
+    }
+    
+    const installation = await getInstallation(installationId, user.id);
+    
+    if (!installation) {
+      return NextResponse.json(
+        { error: 'Installation not found' },
+        { status: 404 }
+      );
+    }
+    
+    const requested = normalizePermissions(installation.requested_permissions);
+    
+    if (!requested.includes(permission)) {
+      return NextResponse.json(
+        { error: `Permission ${permission} was not requested by this app` },
+        { status: 400 }
+      );
+    }
+    
+    const current = normalizePermissions(installation.permissions);
+    const permissions = action === 'grant'
+      ? [...new Set([...current, permission])]
+      : current.filter(granted => granted !== permission);
+    
+    const { error: updateError } = await supabase
+      .from('installations')
+      .update({ permissions })
+      .eq('id', installation.id);
+    
+    if (updateError) {
+      throw updateError;
+    }
+    
+    await saveGrants(supabase, installation.id, permissions);
+    
+    // The runtime reads permissions from runtime.json
+    const runtimeConfig = await syncRuntimePermissions(installation.data_path, permissions);
+    
+    return NextResponse.json({
+      success: true,
+      installationId: installation.id,
+      permission,
+      action,
+      permissions,
+      runtimeUpdated: runtimeConfig !== null
+    });
+    
+  } catch (error) {
+    console.error('Permission update error:', error);
+    return NextResponse.json(
+      { error: 'Failed to update permission: ' + error.message },
+      { status: 500 }
+    );
+  }
+}
+
+async function getInstallation(installationId, userId) {
+  const { data: installation } = await supabase
+    .from('installations')
+    .select('*')
+    .eq('id', installationId)
+    .eq('user_id', userId)
+    .single();
+  
+  return installation;
+}
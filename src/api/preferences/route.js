@@ -0,0 +1,65 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import { normalizeLocale } from '../../lib/locales';
+import { withAuth } from '../../lib/auth';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .select('locale')
+      .eq('id', user.id)
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return NextResponse.json({ success: true, locale: data.locale || null });
+    
+  } catch (error) {
+    console.error('Preferences lookup error:', error);
+    return NextResponse.json(
+      { error: 'Failed to load preferences' },
+      { status: 500 }
+    );
+  }
+});
+
+// { locale } picks the store language over the browser's Accept-Language;
+// null goes back to the browser's
+export const PUT = withAuth(async (request, { user }) => {
+  try {
+    const { locale } = await request.json();
+    
+    if (locale !== null && normalizeLocale(locale) !== locale) {
+      return NextResponse.json(
+        { error: 'Invalid preferences', errors: [{ field: 'locale', message: 'Not a locale tag such as de or pt-BR' }] },
+        { status: 400 }
+      );
+    }
+    
+    const { error } = await supabase
+      .from('users')
+      .update({ locale })
+      .eq('id', user.id);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return NextResponse.json({ success: true, locale });
+    
+  } catch (error) {
+    console.error('Preferences update error:', error);
+    return NextResponse.json(
+      { error: 'Failed to update preferences' },
+      { status: 500 }
+    );
+  }
+});
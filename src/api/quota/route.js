@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import { getQuotas, getUsage } from '../../lib/quota';
+import { withAuth } from '../../lib/auth';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Storage usage by app, for the storage manager
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const quotas = await getQuotas(supabase, user.id);
+    const usage = await getUsage(supabase, user.id);
+    
+    return NextResponse.json({
+      success: true,
+      total: {
+        used: usage.total,
+        limit: quotas.user,
+        available: Math.max(0, quotas.user - usage.total)
+      },
+      apps: usage.apps
+        .map(app => ({
+          ...app,
+          limit: quotas.app(app.appId)
+        }))
+        .sort((a, b) => b.total - a.total)
+    });
+    
+  } catch (error) {
+    console.error('Quota error:', error);
+    return NextResponse.json(
+      { error: 'Failed to compute storage usage' },
+      { status: 500 }
+    );
+  }
+});
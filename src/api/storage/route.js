@@ -0,0 +1,62 @@
+import { NextResponse } from 'next/server';
+import { Readable } from 'stream';
+import { getStorage, isPublicKey, verifySignature } from '../../lib/storage';
+
+// Serves stored objects. Store artwork is public; anything else needs a
+// signed URL from storage.getSignedUrl().
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const key = searchParams.get('key');
+    
+    if (!key) {
+      return NextResponse.json(
+        { error: 'Missing parameters' },
+        { status: 400 }
+      );
+    }
+    
+    const signed = verifySignature(key, searchParams.get('expires'), searchParams.get('signature'));
+    
+    if (!signed && !isPublicKey(key)) {
+      return NextResponse.json(
+        { error: 'Invalid or expired signature' },
+        { status: 403 }
+      );
+    }
+    
+    const storage = getStorage();
+    
+    // S3 serves the object itself
+    if (storage.driver === 's3') {
+      return NextResponse.redirect(await storage.getSignedUrl(key, { expiresIn: 300 }));
+    }
+    
+    const object = await storage.head(key);
+    
+    if (!object) {
+      return NextResponse.json(
+        { error: 'Not found' },
+        { status: 404 }
+      );
+    }
+    
+    const stream = await storage.getStream(key);
+    
+    return new NextResponse(Readable.toWeb(stream), {
+      headers: {
+        'Content-Type': object.contentType,
+        'Content-Length': String(object.size),
+        'Cache-Control': signed ? 'private, max-age=300' : 'public, max-age=86400',
+        'X-Content-Type-Options': 'nosniff'
+      }
+    });
+    
+  } catch (error) {
+    console.error('Storage error:', error);
+    return NextResponse.json(
+      { error: 'Failed to read object' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,135 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { publishPackage, publishErrorResponse } from '../../../../lib/publish';
+import { uploadHash, writeUpload, removeUpload, UploadError } from '../../../../lib/uploads';
+import { withAuth } from '../../../../lib/auth';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Publish a completed resumable upload through the same checks as a
+// single-request upload. The session is claimed first, so only one
+// request finalizes it. The package is copied to a temporary file, where
+// publishing reads it an entry at a time.
+export const POST = withAuth(async (request, { user }) => {
+  let upload = null;
+  let filePath = null;
+  
+  try {
+    const { uploadId } = await request.json();
+    
+    if (!uploadId) {
+      return NextResponse.json(
+        { error: 'Missing parameters' },
+        { status: 400 }
+      );
+    }
+    
+    const { data: session } = await supabase
+      .from('upload_sessions')
+      .select('*')
+      .eq('id', uploadId)
+      .eq('user_id', user.id)
+      .maybeSingle();
+    
+    if (!session) {
+      return NextResponse.json(
+        { error: 'Upload not found' },
+        { status: 404 }
+      );
+    }
+    
+    if (session.status !== 'uploading') {
+      return NextResponse.json(
+        { error: `Upload is ${session.status}`, appId: session.app_id || null },
+        { status: 409 }
+      );
+    }
+    
+    if (session.received !== session.size) {
+      return NextResponse.json(
+        { error: 'Upload is incomplete', offset: session.received, size: session.size },
+        { status: 409 }
+      );
+    }
+    
+    const { data: claimed } = await supabase
+      .from('upload_sessions')
+      .update({ status: 'finalizing', updated_at: new Date().toISOString() })
+      .eq('id', uploadId)
+      .eq('status', 'uploading')
+      .select('id')
+      .maybeSingle();
+    
+    if (!claimed) {
+      return NextResponse.json(
+        { error: 'Upload is already being finalized' },
+        { status: 409 }
+      );
+    }
+    
+    // From here on a failure hands the session back or rejects it
+    upload = session;
+    
+    const fileHash = uploadHash(upload);
+    
+    filePath = path.join(os.tmpdir(), `upload-${upload.id}`);
+    await writeUpload(upload, filePath);
+    
+    const result = await publishPackage(supabase, {
+      user,
+      manifest: upload.manifest,
+      file: filePath,
+      fileHash,
+      fileName: upload.file_name,
+      contentType: upload.content_type,
+      channel: upload.channel || undefined
+    });
+    
+    await removeUpload(upload);
+    await setStatus(uploadId, 'completed', { app_id: result.app.id, hash: fileHash });
+    
+    return NextResponse.json({ ...result, uploadId });
+    
+  } catch (error) {
+    const response = error instanceof UploadError
+      ? NextResponse.json({ error: error.message, ...error.details }, { status: error.status })
+      : publishErrorResponse(error);
+    
+    // Rejected packages will not get better by retrying
+    if (upload) {
+      if (response) {
+        await removeUpload(upload);
+      }
+      await setStatus(upload.id, response ? 'rejected' : 'uploading', {
+        error: response ? error.message : null
+      });
+    }
+    
+    if (response) {
+      return response;
+    }
+    
+    console.error('Upload finalize error:', error);
+    return NextResponse.json(
+      { error: error.message || 'Upload failed' },
+      { status: 500 }
+    );
+  } finally {
+    if (filePath) {
+      await fs.rm(filePath, { force: true });
+    }
+  }
+});
+
+async function setStatus(uploadId, status, fields = {}) {
+  await supabase
+    .from('upload_sessions')
+    .update({ status, ...fields, updated_at: new Date().toISOString() })
+    .eq('id', uploadId);
+}
@@ -0,0 +1,276 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import crypto from 'crypto';
+import { validateManifest } from '../../../lib/manifest';
+import { CHANNELS, DEFAULT_CHANNEL } from '../../../lib/versions';
+import {
+  appendChunk,
+  removeUpload,
+  UploadError,
+  CHUNK_SIZE,
+  MAX_UPLOAD_SIZE,
+  UPLOAD_TTL
+} from '../../../lib/uploads';
+import { withAuth } from '../../../lib/auth';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Resumable upload protocol:
+//   POST   /api/upload/sessions                         create { fileName, size, contentType, manifest, channel }
+//   PUT    /api/upload/sessions?uploadId=&offset=       append a chunk (raw body)
+//   GET    /api/upload/sessions?uploadId=               current offset, to resume
+//   POST   /api/upload/sessions/finalize                { uploadId } validate and publish
+//   DELETE /api/upload/sessions                         { uploadId } abandon
+export const POST = withAuth(async (request, { user }) => {
+  try {
+    const { fileName, size, contentType, manifest, channel = DEFAULT_CHANNEL } = await request.json();
+    
+    if (!fileName || !Number.isInteger(size) || !manifest) {
+      return NextResponse.json(
+        { error: 'Missing parameters' },
+        { status: 400 }
+      );
+    }
+    
+    if (!/\.(apk|zip)$/i.test(fileName)) {
+      return NextResponse.json(
+        { error: 'Must be APK or ZIP' },
+        { status: 400 }
+      );
+    }
+    
+    if (size <= 0 || size > MAX_UPLOAD_SIZE) {
+      return NextResponse.json(
+        { error: 'File too large', maxSize: MAX_UPLOAD_SIZE },
+        { status: 413 }
+      );
+    }
+    
+    if (!CHANNELS.includes(channel)) {
+      return NextResponse.json(
+        { error: `Channel must be one of: ${CHANNELS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+    
+    // Fail fast on a bad manifest instead of after the whole upload
+    const manifestErrors = validateManifest(manifest);
+    
+    if (manifestErrors.length > 0) {
+      return NextResponse.json(
+        { error: 'Invalid manifest', errors: manifestErrors },
+        { status: 400 }
+      );
+    }
+    
+    await removeExpiredUploads(user.id);
+    
+    const now = new Date();
+    const { data: upload, error } = await supabase
+      .from('upload_sessions')
+      .insert({
+        id: crypto.randomUUID(),
+        user_id: user.id,
+        file_name: fileName,
+        content_type: contentType || 'application/octet-stream',
+        size,
+        received: 0,
+        parts: [],
+        hash_state: null,
+        manifest,
+        channel,
+        status: 'uploading',
+        created_at: now.toISOString(),
+        expires_at: new Date(now.getTime() + UPLOAD_TTL).toISOString()
+      })
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return NextResponse.json({
+      success: true,
+      uploadId: upload.id,
+      offset: 0,
+      size,
+      chunkSize: CHUNK_SIZE,
+      expiresAt: upload.expires_at
+    });
+    
+  } catch (error) {
+    console.error('Upload session error:', error);
+    return NextResponse.json(
+      { error: 'Failed to start upload' },
+      { status: 500 }
+    );
+  }
+});
+
+export const PUT = withAuth(async (request, { user }) => {
+  try {
+    const { searchParams } = new URL(request.url);
+    const uploadId = searchParams.get('uploadId');
+    const offset = Number(searchParams.get('offset'));
+    
+    if (!uploadId || !Number.isInteger(offset) || !request.body) {
+      return NextResponse.json(
+        { error: 'Missing parameters' },
+        { status: 400 }
+      );
+    }
+    
+    const upload = await getUpload(uploadId, user.id);
+    
+    if (!upload) {
+      return NextResponse.json(
+        { error: 'Upload not found' },
+        { status: 404 }
+      );
+    }
+    
+    if (upload.status !== 'uploading') {
+      return NextResponse.json(
+        { error: `Upload is ${upload.status}` },
+        { status: 409 }
+      );
+    }
+    
+    const received = await appendChunk(supabase, upload, offset, request.body);
+    
+    return NextResponse.json({
+      success: true,
+      uploadId,
+      offset: received,
+      size: upload.size,
+      complete: received === upload.size
+    });
+    
+  } catch (error) {
+    if (error instanceof UploadError) {
+      return NextResponse.json(
+        { error: error.message, ...error.details },
+        { status: error.status }
+      );
+    }
+    
+    console.error('Upload chunk error:', error);
+    return NextResponse.json(
+      { error: 'Failed to store chunk' },
+      { status: 500 }
+    );
+  }
+});
+
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const { searchParams } = new URL(request.url);
+    const uploadId = searchParams.get('uploadId');
+    
+    if (!uploadId) {
+      return NextResponse.json(
+        { error: 'Missing parameters' },
+        { status: 400 }
+      );
+    }
+    
+    const upload = await getUpload(uploadId, user.id);
+    
+    if (!upload) {
+      return NextResponse.json(
+        { error: 'Upload not found' },
+        { status: 404 }
+      );
+    }
+    
+    return NextResponse.json({
+      success: true,
+      uploadId,
+      status: upload.status,
+      offset: upload.received,
+      size: upload.size,
+      chunkSize: CHUNK_SIZE,
+      appId: upload.app_id || null,
+      expiresAt: upload.expires_at
+    });
+    
+  } catch (error) {
+    console.error('Upload status error:', error);
+    return NextResponse.json(
+      { error: 'Failed to read upload status' },
+      { status: 500 }
+    );
+  }
+});
+
+export const DELETE = withAuth(async (request, { user }) => {
+  try {
+    const { uploadId } = await request.json();
+    
+    if (!uploadId) {
+      return NextResponse.json(
+        { error: 'Missing parameters' },
+        { status: 400 }
+      );
+    }
+    
+    const upload = await getUpload(uploadId, user.id);
+    
+    if (!upload) {
+      return NextResponse.json(
+        { error: 'Upload not found' },
+        { status: 404 }
+      );
+    }
+    
+    await removeUpload(upload);
+    await supabase
+      .from('upload_sessions')
+      .delete()
+      .eq('id', uploadId);
+    
+    return NextResponse.json({ success: true, uploadId });
+    
+  } catch (error) {
+    console.error('Upload abort error:', error);
+    return NextResponse.json(
+      { error: 'Failed to abort upload' },
+      { status: 500 }
+    );
+  }
+});
+
+async function getUpload(uploadId, userId) {
+  const { data } = await supabase
+    .from('upload_sessions')
+    .select('*')
+    .eq('id', uploadId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  
+  if (data && data.status === 'uploading' && new Date(data.expires_at) <= new Date()) {
+    return { ...data, status: 'expired' };
+  }
+  return data;
+}
+
+async function removeExpiredUploads(userId) {
+  const { data: expired } = await supabase
+    .from('upload_sessions')
+    .select('id, parts')
+    .eq('user_id', userId)
+    .eq('status', 'uploading')
+    .lt('expires_at', new Date().toISOString());
+  
+  for (const upload of expired || []) {
+    await removeUpload(upload);
+    await supabase
+      .from('upload_sessions')
+      .delete()
+      .eq('id', upload.id);
+  }
+}
@@ -0,0 +1,9 @@
+// Runs once when the Next.js server starts
+export async function register() {
+  // Queued scans, retries and the rescan sweep must not wait for the next
+  // upload after a restart. Background work only runs on the Node.js server.
+  if (process.env.NEXT_RUNTIME === 'nodejs') {
+    const { startWorker } = await import('./lib/queue');
+    startWorker();
+  }
+}
@@ -0,0 +1,116 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import jwt from 'jsonwebtoken';
+import CryptoJS from 'crypto-js';
+
+// Authentication for API routes. POST /api/login issues two cookies:
+// fireos_token, a JWT naming the user, and fireos_session, a random token
+// whose SHA-256 is stored in the sessions table. Both must be present and
+// valid, and the session must belong to the token's user and be neither
+// expired nor revoked.
+export const TOKEN_COOKIE = 'fireos_token';
+export const SESSION_COOKIE = 'fireos_session';
+
+const JWT_OPTIONS = {
+  issuer: 'fireos',
+  audience: 'fireos-web',
+  algorithms: ['HS512']
+};
+
+let client;
+
+function getClient() {
+  if (!client) {
+    client = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+  }
+  return client;
+}
+
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+// Resolve the user behind a request, or throw AuthError
+export async function authenticate(supabase, request) {
+  const token = request.cookies.get(TOKEN_COOKIE)?.value;
+  const sessionToken = request.cookies.get(SESSION_COOKIE)?.value;
+  
+  if (!token || !sessionToken) {
+    throw new AuthError('Authentication required');
+  }
+  
+  let claims;
+  try {
+    claims = jwt.verify(token, process.env.JWT_SECRET, JWT_OPTIONS);
+  } catch (error) {
+    throw new AuthError(error.name === 'TokenExpiredError' ? 'Session expired' : 'Invalid token');
+  }
+  
+  const sessionHash = CryptoJS.SHA256(sessionToken).toString();
+  
+  const { data: session, error } = await supabase
+    .from('sessions')
+    .select('id, user_id, expires_at, revoked_at')
+    .eq('session_hash', sessionHash)
+    .maybeSingle();
+  
+  if (error) {
+    throw error;
+  }
+  
+  if (!session || session.user_id !== claims.sub) {
+    throw new AuthError('Invalid session');
+  }
+  
+  if (session.revoked_at) {
+    throw new AuthError('Session revoked');
+  }
+  
+  if (new Date(session.expires_at) <= new Date()) {
+    throw new AuthError('Session expired');
+  }
+  
+  return {
+    id: claims.sub,
+    email: claims.email,
+    role: claims.role,
+    sessionId: session.id
+  };
+}
+
+// Wrap a route handler so it only runs for authenticated users. The user
+// is passed as `context.user`; `roles` limits the handler to those roles.
+export function withAuth(handler, { roles } = {}) {
+  return async (request, context = {}) => {
+    let user;
+    try {
+      user = await authenticate(getClient(), request);
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return NextResponse.json(
+          { error: error.message },
+          { status: error.status }
+        );
+      }
+      
+      console.error('Auth error:', error);
+      return NextResponse.json(
+        { error: 'Authentication failed' },
+        { status: 500 }
+      );
+    }
+    
+    if (roles && !roles.includes(user.role)) {
+      return NextResponse.json(
+        { error: 'Forbidden' },
+        { status: 403 }
+      );
+    }
+    
+    return handler(request, { ...context, user });
+  };
+}
@@ -0,0 +1,325 @@
+import JSZip from 'jszip';
+import { isArchive } from './extract';
+
+// Decoder for Android's binary XML (AXML) format, as found in the
+// AndroidManifest.xml of a compiled APK.
+
+// Chunk types
+const RES_STRING_POOL_TYPE = 0x0001;
+const RES_XML_TYPE = 0x0003;
+const RES_XML_START_NAMESPACE_TYPE = 0x0100;
+const RES_XML_END_NAMESPACE_TYPE = 0x0101;
+const RES_XML_START_ELEMENT_TYPE = 0x0102;
+const RES_XML_END_ELEMENT_TYPE = 0x0103;
+const RES_XML_CDATA_TYPE = 0x0104;
+const RES_XML_RESOURCE_MAP_TYPE = 0x0180;
+
+// Typed value types
+const TYPE_NULL = 0x00;
+const TYPE_REFERENCE = 0x01;
+const TYPE_ATTRIBUTE = 0x02;
+const TYPE_STRING = 0x03;
+const TYPE_FLOAT = 0x04;
+const TYPE_INT_DEC = 0x10;
+const TYPE_INT_HEX = 0x11;
+const TYPE_INT_BOOLEAN = 0x12;
+const TYPE_FIRST_COLOR_INT = 0x1c;
+const TYPE_LAST_COLOR_INT = 0x1f;
+
+const UTF8_FLAG = 0x100;
+const NO_INDEX = 0xffffffff;
+
+// Framework attribute IDs, used when attribute names are stripped by obfuscators
+const ANDROID_ATTRIBUTES = {
+  0x01010001: 'label',
+  0x01010002: 'icon',
+  0x01010003: 'name',
+  0x01010006: 'permission',
+  0x0101000e: 'enabled',
+  0x0101000f: 'debuggable',
+  0x01010010: 'exported',
+  0x0101020c: 'minSdkVersion',
+  0x0101021b: 'versionCode',
+  0x0101021c: 'versionName',
+  0x01010270: 'targetSdkVersion',
+  0x01010271: 'maxSdkVersion'
+};
+
+const COMPONENT_TAGS = {
+  activity: 'activities',
+  'activity-alias': 'activities',
+  service: 'services',
+  receiver: 'receivers',
+  provider: 'providers'
+};
+
+export function isBinaryXml(buffer) {
+  return buffer.length >= 8 && buffer.readUInt16LE(0) === RES_XML_TYPE;
+}
+
+// Decode AXML into a plain element tree: { name, attributes, children }
+export function decodeAxml(buffer) {
+  if (!isBinaryXml(buffer)) {
+    throw new Error('Not a binary XML document');
+  }
+  
+  const fileSize = Math.min(buffer.readUInt32LE(4), buffer.length);
+  let offset = buffer.readUInt16LE(2);
+  
+  let strings = [];
+  let resourceIds = [];
+  const root = { name: null, attributes: {}, children: [] };
+  const stack = [root];
+  
+  while (offset + 8 <= fileSize) {
+    const type = buffer.readUInt16LE(offset);
+    const headerSize = buffer.readUInt16LE(offset + 2);
+    const size = buffer.readUInt32LE(offset + 4);
+    
+    if (size < 8 || offset + size > fileSize) {
+      throw new Error(`Corrupt chunk at offset ${offset}`);
+    }
+    
+    switch (type) {
+      case RES_STRING_POOL_TYPE:
+        strings = readStringPool(buffer, offset);
+        break;
+      
+      case RES_XML_RESOURCE_MAP_TYPE:
+        resourceIds = [];
+        for (let i = offset + headerSize; i + 4 <= offset + size; i += 4) {
+          resourceIds.push(buffer.readUInt32LE(i));
+        }
+        break;
+      
+      case RES_XML_START_ELEMENT_TYPE: {
+        const element = readStartElement(buffer, offset + headerSize, strings, resourceIds);
+        stack[stack.length - 1].children.push(element);
+        stack.push(element);
+        break;
+      }
+      
+      case RES_XML_END_ELEMENT_TYPE:
+        if (stack.length > 1) {
+          stack.pop();
+        }
+        break;
+      
+      case RES_XML_CDATA_TYPE: {
+        const text = getString(strings, buffer.readUInt32LE(offset + headerSize));
+        if (text) {
+          stack[stack.length - 1].text = (stack[stack.length - 1].text || '') + text;
+        }
+        break;
+      }
+      
+      case RES_XML_START_NAMESPACE_TYPE:
+      case RES_XML_END_NAMESPACE_TYPE:
+      default:
+        // Namespaces are resolved through attribute names; skip unknown chunks
+        break;
+    }
+    
+    offset += size;
+  }
+  
+  if (root.children.length === 0) {
+    throw new Error('Binary XML contains no elements');
+  }
+  
+  return root.children[0];
+}
+
+function readStringPool(buffer, chunkStart) {
+  const stringCount = buffer.readUInt32LE(chunkStart + 8);
+  const flags = buffer.readUInt32LE(chunkStart + 16);
+  const stringsStart = buffer.readUInt32LE(chunkStart + 20);
+  const headerSize = buffer.readUInt16LE(chunkStart + 2);
+  const isUtf8 = (flags & UTF8_FLAG) !== 0;
+  
+  const strings = new Array(stringCount);
+  
+  for (let i = 0; i < stringCount; i++) {
+    const stringOffset = buffer.readUInt32LE(chunkStart + headerSize + i * 4);
+    let position = chunkStart + stringsStart + stringOffset;
+    
+    if (isUtf8) {
+      // UTF-16 length first, then the UTF-8 byte length we actually need
+      position += buffer[position] & 0x80 ? 2 : 1;
+      let byteLength = buffer[position];
+      if (byteLength & 0x80) {
+        byteLength = ((byteLength & 0x7f) << 8) | buffer[position + 1];
+        position += 2;
+      } else {
+        position += 1;
+      }
+      strings[i] = buffer.toString('utf8', position, position + byteLength);
+    } else {
+      let charLength = buffer.readUInt16LE(position);
+      if (charLength & 0x8000) {
+        charLength = ((charLength & 0x7fff) << 16) | buffer.readUInt16LE(position + 2);
+        position += 4;
+      } else {
+        position += 2;
+      }
+      strings[i] = buffer.toString('utf16le', position, position + charLength * 2);
+    }
+  }
+  
+  return strings;
+}
+
+function readStartElement(buffer, position, strings, resourceIds) {
+  const name = getString(strings, buffer.readUInt32LE(position + 4));
+  const attributeStart = buffer.readUInt16LE(position + 8);
+  const attributeSize = buffer.readUInt16LE(position + 10);
+  const attributeCount = buffer.readUInt16LE(position + 12);
+  
+  const attributes = {};
+  
+  for (let i = 0; i < attributeCount; i++) {
+    const attr = position + attributeStart + i * attributeSize;
+    const nameIndex = buffer.readUInt32LE(attr + 4);
+    const rawValue = buffer.readUInt32LE(attr + 8);
+    const dataType = buffer[attr + 15];
+    const data = buffer.readUInt32LE(attr + 16);
+    
+    const attributeName = getString(strings, nameIndex) ||
+      ANDROID_ATTRIBUTES[resourceIds[nameIndex]] ||
+      `attr_0x${(resourceIds[nameIndex] || nameIndex).toString(16)}`;
+    
+    attributes[attributeName] = rawValue !== NO_INDEX
+      ? getString(strings, rawValue)
+      : formatTypedValue(dataType, data, strings);
+  }
+  
+  return { name, attributes, children: [] };
+}
+
+function formatTypedValue(dataType, data, strings) {
+  switch (dataType) {
+    case TYPE_NULL:
+      return null;
+    case TYPE_REFERENCE:
+      return `@0x${data.toString(16).padStart(8, '0')}`;
+    case TYPE_ATTRIBUTE:
+      return `?0x${data.toString(16).padStart(8, '0')}`;
+    case TYPE_STRING:
+      return getString(strings, data);
+    case TYPE_FLOAT: {
+      const view = Buffer.alloc(4);
+      view.writeUInt32LE(data);
+      return view.readFloatLE(0);
+    }
+    case TYPE_INT_DEC:
+      return data | 0;
+    case TYPE_INT_HEX:
+      return `0x${data.toString(16)}`;
+    case TYPE_INT_BOOLEAN:
+      return data !== 0;
+    default:
+      if (dataType >= TYPE_FIRST_COLOR_INT && dataType <= TYPE_LAST_COLOR_INT) {
+        return `#${data.toString(16).padStart(8, '0')}`;
+      }
+      return data;
+  }
+}
+
+function getString(strings, index) {
+  return index === NO_INDEX ? null : (strings[index] ?? null);
+}
+
+// Turn a decoded AndroidManifest.xml into the structure used by install and scan
+export function parseAndroidManifest(buffer) {
+  const root = decodeAxml(buffer);
+  
+  if (root.name !== 'manifest') {
+    throw new Error(`Unexpected root element <${root.name}>`);
+  }
+  
+  const packageName = root.attributes.package || null;
+  const usesSdk = root.children.find(child => child.name === 'uses-sdk');
+  const application = root.children.find(child => child.name === 'application');
+  
+  const manifest = {
+    package: packageName,
+    versionCode: toNumber(root.attributes.versionCode),
+    versionName: root.attributes.versionName != null ? String(root.attributes.versionName) : null,
+    minSdkVersion: toNumber(usesSdk?.attributes.minSdkVersion),
+    targetSdkVersion: toNumber(usesSdk?.attributes.targetSdkVersion),
+    permissions: root.children
+      .filter(child => child.name === 'uses-permission' || child.name === 'uses-permission-sdk-23')
+      .map(child => child.attributes.name)
+      .filter(Boolean),
+    debuggable: application?.attributes.debuggable === true ||
+      application?.attributes.debuggable === 'true',
+    activities: [],
+    services: [],
+    receivers: [],
+    providers: []
+  };
+  
+  for (const child of application?.children || []) {
+    const collection = COMPONENT_TAGS[child.name];
+    if (collection) {
+      manifest[collection].push(parseComponent(child, packageName));
+    }
+  }
+  
+  return manifest;
+}
+
+function parseComponent(element, packageName) {
+  return {
+    name: resolveClassName(element.attributes.name, packageName),
+    exported: element.attributes.exported ?? null,
+    permission: element.attributes.permission || null,
+    intentFilters: element.children
+      .filter(child => child.name === 'intent-filter')
+      .map(filter => ({
+        actions: childNames(filter, 'action'),
+        categories: childNames(filter, 'category'),
+        data: filter.children
+          .filter(child => child.name === 'data')
+          .map(child => ({ ...child.attributes }))
+      }))
+  };
+}
+
+function childNames(element, tag) {
+  return element.children
+    .filter(child => child.name === tag)
+    .map(child => child.attributes.name)
+    .filter(Boolean);
+}
+
+function resolveClassName(name, packageName) {
+  if (!name || !packageName) {
+    return name || null;
+  }
+  if (name.startsWith('.')) {
+    return packageName + name;
+  }
+  return name.includes('.') ? name : `${packageName}.${name}`;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+// Read and parse AndroidManifest.xml straight from APK bytes or an opened
+// archive
+export async function readApkManifest(apkBuffer) {
+  const archive = isArchive(apkBuffer) ? apkBuffer : await JSZip.loadAsync(apkBuffer);
+  const manifestFile = archive.file('AndroidManifest.xml');
+  
+  if (!manifestFile) {
+    throw new Error('APK has no AndroidManifest.xml');
+  }
+  
+  return parseAndroidManifest(await manifestFile.async('nodebuffer'));
+}
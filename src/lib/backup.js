@@ -0,0 +1,190 @@
+import archiver from 'archiver';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+import { Transform } from 'stream';
+import { parseVersion, compareVersions } from './semver';
+
+// Portable app data backups. A backup is a ZIP encrypted with AES-256-GCM
+// under a key derived from the user's passphrase:
+//
+//   "FOSB" | format (1 byte) | salt (16) | iv (12) | ciphertext | tag (16)
+//
+// The ZIP holds backup.json and each app's data under apps/<appId>/,
+// including its runtime.json. backup.json records each app's package id,
+// which identifies the app on any host. Files shipped by the package itself are left
+// out; they come back with the install.
+export const BACKUP_FORMAT = 1;
+export const BACKUP_MANIFEST = 'backup.json';
+
+const MAGIC = Buffer.from('FOSB');
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + 1 + SALT_LENGTH + IV_LENGTH;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const scrypt = promisify(crypto.scrypt);
+
+export class BackupError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'BackupError';
+    this.details = details;
+  }
+}
+
+export function checkPassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new BackupError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+}
+
+function deriveKey(passphrase, salt) {
+  return scrypt(passphrase, salt, 32);
+}
+
+// Files in the data directory that the app created, relative to it
+export async function listUserFiles(dataDir, installDir) {
+  const packaged = new Set(await listTree(installDir));
+  return (await listTree(dataDir)).filter(file => !packaged.has(file));
+}
+
+export async function listTree(dir, prefix = '') {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(dir, prefix), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  
+  const files = [];
+  for (const entry of entries) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listTree(dir, relative));
+    } else if (entry.isFile()) {
+      files.push(relative);
+    }
+  }
+  return files;
+}
+
+// Encrypted backup of the given apps as a stream. Each app is
+// { appId, packageId, name, version, channel, dataDir, files }.
+export async function createBackupStream(apps, { userId, passphrase }) {
+  checkPassphrase(passphrase);
+  
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const key = await deriveKey(passphrase, salt);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  
+  const output = new Transform({
+    transform(chunk, encoding, callback) {
+      callback(null, cipher.update(chunk));
+    },
+    flush(callback) {
+      this.push(cipher.final());
+      callback(null, cipher.getAuthTag());
+    }
+  });
+  
+  output.push(Buffer.concat([MAGIC, Buffer.from([BACKUP_FORMAT]), salt, iv]));
+  
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('error', error => output.destroy(error));
+  archive.pipe(output);
+  
+  archive.append(JSON.stringify({
+    format: BACKUP_FORMAT,
+    createdAt: new Date().toISOString(),
+    userId,
+    apps: apps.map(({ appId, packageId, name, version, channel, files }) => ({
+      appId,
+      packageId,
+      name,
+      version,
+      channel,
+      files: files.length
+    }))
+  }, null, 2), { name: BACKUP_MANIFEST });
+  
+  for (const app of apps) {
+    for (const file of app.files) {
+      archive.file(path.join(app.dataDir, file), { name: `apps/${app.appId}/${file}` });
+    }
+  }
+  
+  archive.finalize();
+  return output;
+}
+
+// Decrypt a backup into the ZIP it contains. A wrong passphrase and a
+// tampered file look the same here.
+export async function decryptBackup(buffer, passphrase) {
+  checkPassphrase(passphrase);
+  
+  if (buffer.length < HEADER_LENGTH + TAG_LENGTH || !buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+    throw new BackupError('Not a FireOS backup');
+  }
+  
+  const format = buffer[MAGIC.length];
+  if (format !== BACKUP_FORMAT) {
+    throw new BackupError(`Unsupported backup format ${format}`);
+  }
+  
+  let offset = MAGIC.length + 1;
+  const salt = buffer.subarray(offset, offset += SALT_LENGTH);
+  const iv = buffer.subarray(offset, offset += IV_LENGTH);
+  const ciphertext = buffer.subarray(offset, buffer.length - TAG_LENGTH);
+  const tag = buffer.subarray(buffer.length - TAG_LENGTH);
+  
+  const key = await deriveKey(passphrase, salt);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  
+  try {
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  } catch {
+    throw new BackupError('Wrong passphrase or corrupted backup');
+  }
+}
+
+export async function readBackupManifest(archive) {
+  const file = archive.file(BACKUP_MANIFEST);
+  
+  if (!file) {
+    throw new BackupError(`Backup has no ${BACKUP_MANIFEST}`);
+  }
+  
+  let manifest;
+  try {
+    manifest = JSON.parse(await file.async('text'));
+  } catch {
+    throw new BackupError(`${BACKUP_MANIFEST} is not valid JSON`);
+  }
+  
+  if (manifest.format !== BACKUP_FORMAT || !Array.isArray(manifest.apps)) {
+    throw new BackupError('Unsupported backup contents');
+  }
+  return manifest;
+}
+
+// Data can move forward within a major version, never backwards
+export function checkCompatibility(backupVersion, targetVersion) {
+  const backup = parseVersion(backupVersion);
+  const target = parseVersion(targetVersion);
+  
+  if (!backup || !target) {
+    return `Cannot compare versions ${backupVersion} and ${targetVersion}`;
+  }
+  if (backup.major !== target.major) {
+    return `Data from ${backupVersion} is not compatible with major version ${target.major}`;
+  }
+  if (compareVersions(backupVersion, targetVersion) > 0) {
+    return `Data from ${backupVersion} is newer than version ${targetVersion}`;
+  }
+  return null;
+}
@@ -0,0 +1,118 @@
+import { isValidRange, satisfies } from './semver';
+import { findCandidate } from './dependencies';
+
+// Bundles are named, curated lists of apps installed together. Each entry
+// names an app by id and constrains the version by range; the newest
+// verified version of that app matching the range is installed.
+export const DEFAULT_CONCURRENCY = 3;
+export const MAX_CONCURRENCY = 8;
+
+export function validateBundle({ name, apps }) {
+  const errors = [];
+  
+  if (typeof name !== 'string' || name.trim() === '') {
+    errors.push({ field: 'name', message: 'Required' });
+  }
+  
+  if (!Array.isArray(apps) || apps.length === 0) {
+    errors.push({ field: 'apps', message: 'Must list at least one app' });
+    return errors;
+  }
+  
+  apps.forEach((entry, index) => {
+    if (!entry?.appId) {
+      errors.push({ field: `apps[${index}].appId`, message: 'Required' });
+    }
+    if (entry?.version !== undefined && !isValidRange(entry.version)) {
+      errors.push({ field: `apps[${index}].version`, message: `Invalid version range: ${entry.version}` });
+    }
+  });
+  
+  return errors;
+}
+
+export async function getBundle(supabase, bundleId) {
+  const { data, error } = await supabase
+    .from('bundles')
+    .select('*, apps:bundle_apps(app_id, version_range, position, app:apps(id, name, latest_version))')
+    .eq('id', bundleId)
+    .maybeSingle();
+  
+  if (error) {
+    throw error;
+  }
+  
+  if (data) {
+    data.apps = (data.apps || []).sort((a, b) => a.position - b.position);
+  }
+  return data;
+}
+
+// Work out what installing a bundle means for a user: which apps to install
+// at which version, which are already installed, and which cannot be found
+export async function planBundle(supabase, bundle, userId) {
+  const { data: installations, error } = await supabase
+    .from('installations')
+    .select('app_id, version, app:apps(name)')
+    .eq('user_id', userId)
+    .eq('status', 'installed');
+  
+  if (error) {
+    throw error;
+  }
+  
+  const installed = new Map(
+    (installations || []).map(installation => [installation.app_id, installation])
+  );
+  
+  const plan = { install: [], skipped: [], missing: [] };
+  
+  for (const entry of bundle.apps) {
+    const name = entry.app?.name;
+    const range = entry.version_range || '*';
+    
+    if (!name) {
+      plan.missing.push({ appId: entry.app_id, range, reason: 'App not found' });
+      continue;
+    }
+    
+    const installation = installed.get(entry.app_id);
+    if (installation) {
+      plan.skipped.push({
+        appId: installation.app_id,
+        name,
+        version: installation.version,
+        satisfiesRange: satisfies(installation.version, range)
+      });
+      continue;
+    }
+    
+    const candidate = await findCandidate(supabase, { appId: entry.app_id, name, range });
+    if (!candidate) {
+      plan.missing.push({ appId: entry.app_id, name, range, reason: 'No verified version matches' });
+      continue;
+    }
+    
+    plan.install.push(candidate);
+  }
+  
+  return plan;
+}
+
+// Run `fn` over every item with at most `limit` calls in flight. Results
+// keep the order of the input.
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
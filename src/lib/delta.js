@@ -0,0 +1,361 @@
+import JSZip from 'jszip';
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Delta updates between two versions of a package. A delta is a ZIP with
+// a delta.json describing every file of the target version:
+//
+//   {
+//     "format": 1,
+//     "files": {
+//       "index.html": { "action": "unchanged", "hash": "<sha256>", "size": 120 },
+//       "game.wasm": { "action": "patch", "hash": "<sha256>", "size": 94371840 },
+//       "level9.json": { "action": "add", "hash": "<sha256>", "size": 2048 }
+//     },
+//     "removed": ["level0.json"]
+//   }
+//
+// Patched files are stored under patches/, added or replaced files under
+// files/. Patches are a sequence of copy/insert operations against the old
+// file, found with an rsync-style rolling checksum.
+export const DELTA_FORMAT = 1;
+export const DELTA_MANIFEST = 'delta.json';
+
+const BLOCK_SIZE = 4096;
+const PATCH_MAGIC = Buffer.from('FDP1');
+const OP_COPY = 1;
+const OP_INSERT = 2;
+const MOD = 65536;
+
+export class DeltaError extends Error {
+  constructor(message, mismatches = []) {
+    super(message);
+    this.name = 'DeltaError';
+    this.mismatches = mismatches;
+  }
+}
+
+export function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function weakChecksum(buffer, start, end) {
+  let a = 0;
+  let b = 0;
+  for (let i = start; i < end; i++) {
+    a = (a + buffer[i]) % MOD;
+    b = (b + (end - i) * buffer[i]) % MOD;
+  }
+  return { a, b };
+}
+
+// Binary patch that turns `source` into `target`
+export function diffBuffers(source, target, blockSize = BLOCK_SIZE) {
+  const blocks = new Map();
+  
+  for (let offset = 0; offset + blockSize <= source.length; offset += blockSize) {
+    const { a, b } = weakChecksum(source, offset, offset + blockSize);
+    const weak = a + b * MOD;
+    if (!blocks.has(weak)) {
+      blocks.set(weak, []);
+    }
+    blocks.get(weak).push(offset);
+  }
+  
+  const ops = [];
+  let literalStart = 0;
+  
+  const pushCopy = (offset, length) => {
+    const last = ops[ops.length - 1];
+    if (last?.type === OP_COPY && last.offset + last.length === offset) {
+      last.length += length;
+    } else {
+      ops.push({ type: OP_COPY, offset, length });
+    }
+  };
+  
+  const flushLiteral = (end) => {
+    if (end > literalStart) {
+      ops.push({ type: OP_INSERT, data: target.subarray(literalStart, end) });
+    }
+  };
+  
+  let i = 0;
+  let sums = blocks.size > 0 && target.length >= blockSize
+    ? weakChecksum(target, 0, blockSize)
+    : null;
+  
+  while (sums && i + blockSize <= target.length) {
+    const candidates = blocks.get(sums.a + sums.b * MOD);
+    const match = candidates?.find(offset =>
+      source.compare(target, i, i + blockSize, offset, offset + blockSize) === 0
+    );
+    
+    if (match !== undefined) {
+      flushLiteral(i);
+      pushCopy(match, blockSize);
+      i += blockSize;
+      literalStart = i;
+      sums = i + blockSize <= target.length ? weakChecksum(target, i, i + blockSize) : null;
+      continue;
+    }
+    
+    // Roll the window forward by one byte
+    if (i + blockSize < target.length) {
+      const out = target[i];
+      const next = target[i + blockSize];
+      const a = (sums.a - out + next + MOD) % MOD;
+      const b = (((sums.b - blockSize * out) % MOD + MOD) % MOD + a) % MOD;
+      sums = { a, b };
+    }
+    i++;
+  }
+  
+  flushLiteral(target.length);
+  return encodePatch(ops, target.length);
+}
+
+function encodePatch(ops, targetLength) {
+  const header = Buffer.alloc(8);
+  PATCH_MAGIC.copy(header, 0);
+  header.writeUInt32BE(targetLength, 4);
+  
+  const chunks = [header];
+  for (const op of ops) {
+    if (op.type === OP_COPY) {
+      const chunk = Buffer.alloc(9);
+      chunk.writeUInt8(OP_COPY, 0);
+      chunk.writeUInt32BE(op.offset, 1);
+      chunk.writeUInt32BE(op.length, 5);
+      chunks.push(chunk);
+    } else {
+      const chunk = Buffer.alloc(5);
+      chunk.writeUInt8(OP_INSERT, 0);
+      chunk.writeUInt32BE(op.data.length, 1);
+      chunks.push(chunk, op.data);
+    }
+  }
+  return Buffer.concat(chunks);
+}
+
+export function applyPatch(source, patch) {
+  if (patch.length < 8 || !patch.subarray(0, 4).equals(PATCH_MAGIC)) {
+    throw new DeltaError('Invalid patch');
+  }
+  
+  const targetLength = patch.readUInt32BE(4);
+  const target = Buffer.alloc(targetLength);
+  let position = 8;
+  let written = 0;
+  
+  while (position < patch.length) {
+    const type = patch.readUInt8(position);
+    
+    if (type === OP_COPY) {
+      const offset = patch.readUInt32BE(position + 1);
+      const length = patch.readUInt32BE(position + 5);
+      if (offset + length > source.length || written + length > targetLength) {
+        throw new DeltaError('Patch copies outside the source file');
+      }
+      source.copy(target, written, offset, offset + length);
+      written += length;
+      position += 9;
+    } else if (type === OP_INSERT) {
+      const length = patch.readUInt32BE(position + 1);
+      if (written + length > targetLength || position + 5 + length > patch.length) {
+        throw new DeltaError('Patch inserts past the end of the file');
+      }
+      patch.copy(target, written, position + 5, position + 5 + length);
+      written += length;
+      position += 5 + length;
+    } else {
+      throw new DeltaError(`Unknown patch operation ${type}`);
+    }
+  }
+  
+  if (written !== targetLength) {
+    throw new DeltaError('Patch produced a file of the wrong size');
+  }
+  return target;
+}
+
+async function readFiles(archive) {
+  const files = new Map();
+  for (const entry of Object.values(archive.files)) {
+    if (!entry.dir) {
+      files.set(entry.name, await entry.async('nodebuffer'));
+    }
+  }
+  return files;
+}
+
+// Build a delta from one package to the next. Returns null when the delta
+// would not be meaningfully smaller than the full package.
+export async function createDelta(fromArchive, toArchive, { packageSize } = {}) {
+  const from = await readFiles(fromArchive);
+  const to = await readFiles(toArchive);
+  const delta = new JSZip();
+  const manifest = { format: DELTA_FORMAT, files: {}, removed: [] };
+  
+  for (const [name, content] of to) {
+    const hash = sha256(content);
+    const previous = from.get(name);
+    const entry = { hash, size: content.length };
+    
+    if (previous && sha256(previous) === hash) {
+      entry.action = 'unchanged';
+    } else if (previous) {
+      const patch = diffBuffers(previous, content);
+      
+      // A patch bigger than the file itself saves nothing
+      if (patch.length < content.length) {
+        entry.action = 'patch';
+        delta.file(`patches/${name}`, patch);
+      } else {
+        entry.action = 'add';
+        delta.file(`files/${name}`, content);
+      }
+    } else {
+      entry.action = 'add';
+      delta.file(`files/${name}`, content);
+    }
+    
+    manifest.files[name] = entry;
+  }
+  
+  manifest.removed = [...from.keys()].filter(name => !to.has(name));
+  delta.file(DELTA_MANIFEST, JSON.stringify(manifest));
+  
+  const buffer = await delta.generateAsync({
+    type: 'nodebuffer',
+    compression: 'DEFLATE',
+    compressionOptions: { level: 9 }
+  });
+  
+  if (packageSize && buffer.length >= packageSize * 0.9) {
+    return null;
+  }
+  
+  return { buffer, hash: sha256(buffer), manifest };
+}
+
+export async function readDeltaManifest(deltaArchive) {
+  const file = deltaArchive.file(DELTA_MANIFEST);
+  
+  if (!file) {
+    throw new DeltaError('Delta has no manifest');
+  }
+  
+  const manifest = JSON.parse(await file.async('text'));
+  
+  if (manifest.format !== DELTA_FORMAT || typeof manifest.files !== 'object') {
+    throw new DeltaError('Unsupported delta format');
+  }
+  return manifest;
+}
+
+function resolveWithin(dir, name) {
+  const root = path.resolve(dir);
+  const target = path.resolve(root, name);
+  
+  if (!target.startsWith(root + path.sep)) {
+    throw new DeltaError(`Delta entry escapes the install directory: ${name}`);
+  }
+  return target;
+}
+
+// Apply a delta to a copy of the installed files in `dir`, then check that
+// the result matches the target version exactly. Throws DeltaError.
+export async function applyDelta(deltaArchive, dir) {
+  const manifest = await readDeltaManifest(deltaArchive);
+  const summary = { unchanged: 0, patched: 0, added: 0, removed: 0 };
+  
+  for (const name of manifest.removed || []) {
+    await fs.rm(resolveWithin(dir, name), { force: true });
+    summary.removed++;
+  }
+  
+  for (const [name, entry] of Object.entries(manifest.files)) {
+    const filePath = resolveWithin(dir, name);
+    
+    if (entry.action === 'unchanged') {
+      summary.unchanged++;
+      continue;
+    }
+    
+    if (entry.action === 'patch') {
+      const patch = deltaArchive.file(`patches/${name}`);
+      if (!patch) {
+        throw new DeltaError(`Delta is missing the patch for ${name}`);
+      }
+      
+      let source;
+      try {
+        source = await fs.readFile(filePath);
+      } catch {
+        throw new DeltaError(`Installed copy of ${name} is missing`);
+      }
+      
+      await fs.writeFile(filePath, applyPatch(source, await patch.async('nodebuffer')));
+      summary.patched++;
+    } else if (entry.action === 'add') {
+      const content = deltaArchive.file(`files/${name}`);
+      if (!content) {
+        throw new DeltaError(`Delta is missing the contents of ${name}`);
+      }
+      
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, await content.async('nodebuffer'));
+      summary.added++;
+    } else {
+      throw new DeltaError(`Unknown delta action for ${name}: ${entry.action}`);
+    }
+  }
+  
+  await verifyTree(dir, manifest.files);
+  return summary;
+}
+
+// Every expected file must be present with the right hash, and nothing else
+export async function verifyTree(dir, expected) {
+  const mismatches = [];
+  const actual = await listTree(dir);
+  
+  for (const [name, { hash }] of Object.entries(expected)) {
+    if (!actual.includes(name)) {
+      mismatches.push({ file: name, reason: 'Missing' });
+      continue;
+    }
+    
+    const content = await fs.readFile(path.join(dir, name));
+    if (sha256(content) !== hash) {
+      mismatches.push({ file: name, reason: 'Hash mismatch' });
+    }
+  }
+  
+  for (const name of actual) {
+    if (!(name in expected)) {
+      mismatches.push({ file: name, reason: 'Unexpected file' });
+    }
+  }
+  
+  if (mismatches.length > 0) {
+    throw new DeltaError('Updated files do not match the new version', mismatches);
+  }
+}
+
+async function listTree(dir, prefix = '') {
+  const entries = await fs.readdir(path.join(dir, prefix), { withFileTypes: true });
+  const files = [];
+  
+  for (const entry of entries) {
+    const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listTree(dir, name));
+    } else {
+      files.push(name);
+    }
+  }
+  return files;
+}
@@ -0,0 +1,235 @@
+import { satisfies, isValidRange } from './semver';
+import { listVersions, mergeVersion, DEFAULT_CHANNEL } from './versions';
+import { PACKAGE_ID_PATTERN } from './manifest';
+
+// Runtime version that `requires.fireos` ranges are checked against
+export const FIREOS_VERSION = process.env.FIREOS_VERSION || '1.0.0';
+
+// Manifests declare dependencies on other apps by package id, which only
+// the app's developer can publish under (display names are not unique):
+//
+//   "requires": { "fireos": ">=1.0.0" },
+//   "dependencies": {
+//     "com.example.sharedui": "^2.1.0",
+//     "com.example.sync": { "version": "^1.0.0", "services": ["sync"] }
+//   }
+export function normalizeDependencies(manifest) {
+  const dependencies = manifest?.dependencies;
+  
+  if (!dependencies || typeof dependencies !== 'object' || Array.isArray(dependencies)) {
+    return [];
+  }
+  
+  return Object.entries(dependencies).map(([packageId, spec]) => ({
+    packageId,
+    range: typeof spec === 'string' ? spec : (spec?.version || '*'),
+    services: Array.isArray(spec?.services) ? spec.services : []
+  }));
+}
+
+// Field-level problems with the dependency declarations of a manifest
+export function validateDependencies(manifest) {
+  const errors = [];
+  
+  if (manifest?.dependencies !== undefined &&
+      (typeof manifest.dependencies !== 'object' || Array.isArray(manifest.dependencies))) {
+    errors.push({ field: 'dependencies', message: 'Must be an object keyed by package id' });
+  }
+  
+  for (const dependency of normalizeDependencies(manifest)) {
+    if (!PACKAGE_ID_PATTERN.test(dependency.packageId)) {
+      errors.push({
+        field: `dependencies.${dependency.packageId}`,
+        message: 'Must be a package id such as com.example.notes'
+      });
+    }
+    if (!isValidRange(dependency.range)) {
+      errors.push({
+        field: `dependencies.${dependency.packageId}`,
+        message: `Invalid version range: ${dependency.range}`
+      });
+    }
+    if (dependency.packageId === manifest.id) {
+      errors.push({
+        field: `dependencies.${dependency.packageId}`,
+        message: 'An app cannot depend on itself'
+      });
+    }
+  }
+  
+  const runtime = manifest?.requires?.fireos;
+  if (runtime !== undefined && !isValidRange(runtime)) {
+    errors.push({ field: 'requires.fireos', message: `Invalid version range: ${runtime}` });
+  }
+  
+  return errors;
+}
+
+// Work out which apps must be installed before `app`. Returns the apps to
+// install in dependency order, the dependencies already satisfied, and any
+// missing, conflicting or cyclic requirements.
+export async function resolveDependencies(supabase, app, userId) {
+  const installed = await loadInstalledApps(supabase, userId);
+  const chosen = new Map();
+  const plan = { install: [], satisfied: [], errors: [] };
+  
+  const visit = async (current, trail) => {
+    const runtime = current.requires?.fireos;
+    if (runtime && !satisfies(FIREOS_VERSION, runtime)) {
+      plan.errors.push({
+        type: 'runtime',
+        app: current.name,
+        required: runtime,
+        available: FIREOS_VERSION
+      });
+    }
+    
+    for (const dependency of normalizeDependencies(current)) {
+      if (trail.includes(dependency.packageId)) {
+        plan.errors.push({ type: 'cycle', path: [...trail, dependency.packageId] });
+        continue;
+      }
+      
+      // Already picked for another dependent; the version must suit both
+      const picked = chosen.get(dependency.packageId);
+      if (picked) {
+        if (!satisfies(picked.version, dependency.range)) {
+          plan.errors.push({
+            type: 'conflict',
+            app: dependency.packageId,
+            required: dependency.range,
+            requiredBy: current.name,
+            resolved: picked.version
+          });
+        }
+        continue;
+      }
+      
+      const installation = installed.get(dependency.packageId);
+      if (installation) {
+        chosen.set(dependency.packageId, { version: installation.version });
+        
+        if (!satisfies(installation.version, dependency.range)) {
+          plan.errors.push({
+            type: 'conflict',
+            app: dependency.packageId,
+            required: dependency.range,
+            requiredBy: current.name,
+            installed: installation.version
+          });
+        } else if (checkServices(dependency, installation.app, current, plan)) {
+          plan.satisfied.push({
+            appId: installation.app.id,
+            packageId: dependency.packageId,
+            name: installation.app.name,
+            version: installation.version
+          });
+        }
+        continue;
+      }
+      
+      const candidate = await findCandidate(supabase, dependency);
+      if (!candidate) {
+        plan.errors.push({
+          type: 'missing',
+          app: dependency.packageId,
+          required: dependency.range,
+          requiredBy: current.name
+        });
+        continue;
+      }
+      
+      chosen.set(dependency.packageId, { version: candidate.version });
+      
+      if (checkServices(dependency, candidate, current, plan)) {
+        await visit(candidate, [...trail, dependency.packageId]);
+        // Post-order, so every app comes after its own dependencies
+        plan.install.push(candidate);
+      }
+    }
+  };
+  
+  await visit(app, [app.package_id]);
+  return plan;
+}
+
+// Installed apps that declare a dependency on `packageId`
+export async function findDependents(supabase, userId, packageId) {
+  const installed = await loadInstalledApps(supabase, userId);
+  
+  return [...installed.values()]
+    .filter(installation => normalizeDependencies(installation.app)
+      .some(dependency => dependency.packageId === packageId))
+    .map(installation => ({
+      appId: installation.app.id,
+      name: installation.app.name,
+      version: installation.version
+    }));
+}
+
+function checkServices(dependency, provider, dependent, plan) {
+  const provided = provider.services || [];
+  const missing = dependency.services.filter(service => !provided.includes(service));
+  
+  if (missing.length > 0) {
+    plan.errors.push({
+      type: 'service',
+      app: dependency.packageId,
+      services: missing,
+      requiredBy: dependent.name
+    });
+    return false;
+  }
+  return true;
+}
+
+async function loadInstalledApps(supabase, userId) {
+  const { data, error } = await supabase
+    .from('installations')
+    .select('id, version, app:apps(id, name, package_id), release:app_versions(services, dependencies, requires)')
+    .eq('user_id', userId)
+    .eq('status', 'installed');
+  
+  if (error) {
+    throw error;
+  }
+  
+  const installed = new Map();
+  for (const row of data || []) {
+    // Apps from before package ids cannot be depended on
+    if (row.app?.package_id) {
+      installed.set(row.app.package_id, {
+        installationId: row.id,
+        version: row.version,
+        app: { ...row.release, ...row.app, version: row.version }
+      });
+    }
+  }
+  return installed;
+}
+
+// Newest verified stable version of the app with this package id (or
+// `appId`, when the caller knows it) that satisfies the range, merged with
+// its app
+export async function findCandidate(supabase, dependency) {
+  const { data: apps, error } = await supabase
+    .from('apps')
+    .select('*')
+    .eq(dependency.appId ? 'id' : 'package_id', dependency.appId || dependency.packageId)
+    .not('published', 'is', false);
+  
+  if (error) {
+    throw error;
+  }
+  
+  if (!apps?.length) {
+    return null;
+  }
+  
+  const release = (await listVersions(supabase, apps.map(app => app.id), { verifiedOnly: true, channel: DEFAULT_CHANNEL }))
+    .find(candidate => satisfies(candidate.version, dependency.range));
+  
+  return release
+    ? mergeVersion(apps.find(app => app.id === release.app_id), release)
+    : null;
+}
@@ -0,0 +1,187 @@
+import { CATEGORIES } from './manifest';
+import { getApp, listVersions } from './versions';
+import { normalizeLocale, validateLocalizations } from './locales';
+
+// Developer accounts and the apps they own. The developer who publishes
+// the first version of an app owns it, and only they can upload new
+// versions or edit its listing.
+export const MAX_TAGS = 5;
+
+const TAG_PATTERN = /^[a-z0-9][a-z0-9-]{0,23}$/;
+const MAX_CATEGORIES = 3;
+
+export async function getDeveloper(supabase, userId) {
+  const { data, error } = await supabase
+    .from('developers')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+  
+  if (error) {
+    throw error;
+  }
+  return data;
+}
+
+export function validateProfile({ displayName, website, supportEmail }) {
+  const errors = [];
+  
+  if (typeof displayName !== 'string' || displayName.trim().length < 2) {
+    errors.push({ field: 'displayName', message: 'Must be at least 2 characters' });
+  } else if (displayName.length > 64) {
+    errors.push({ field: 'displayName', message: 'Must be at most 64 characters' });
+  }
+  
+  if (website !== undefined && website !== null && !/^https:\/\/\S+$/.test(website)) {
+    errors.push({ field: 'website', message: 'Must be an https:// URL' });
+  }
+  
+  if (supportEmail !== undefined && supportEmail !== null && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(supportEmail)) {
+    errors.push({ field: 'supportEmail', message: 'Must be an email address' });
+  }
+  
+  return errors;
+}
+
+// Editable listing fields; anything not present is left alone.
+// `localizations` maps locales to { name, description, screenshots } or null
+// to remove one; `releaseNotes` maps locales to notes for `versionId`.
+export function validateListing({
+  description,
+  categories,
+  tags,
+  screenshots,
+  published,
+  defaultLocale,
+  localizations,
+  versionId,
+  releaseNotes
+}) {
+  const errors = [];
+  
+  if (description !== undefined) {
+    if (typeof description !== 'string') {
+      errors.push({ field: 'description', message: 'Must be a string' });
+    } else if (description.length > 4000) {
+      errors.push({ field: 'description', message: 'Must be at most 4000 characters' });
+    }
+  }
+  
+  if (categories !== undefined) {
+    if (!Array.isArray(categories)) {
+      errors.push({ field: 'categories', message: 'Must be an array' });
+    } else {
+      if (categories.length > MAX_CATEGORIES) {
+        errors.push({ field: 'categories', message: `At most ${MAX_CATEGORIES} categories` });
+      }
+      categories.forEach((category, index) => {
+        if (!CATEGORIES.includes(category)) {
+          errors.push({
+            field: `categories[${index}]`,
+            message: `Must be one of: ${CATEGORIES.join(', ')}`
+          });
+        }
+      });
+    }
+  }
+  
+  if (tags !== undefined) {
+    if (!Array.isArray(tags)) {
+      errors.push({ field: 'tags', message: 'Must be an array' });
+    } else {
+      if (tags.length > MAX_TAGS) {
+        errors.push({ field: 'tags', message: `At most ${MAX_TAGS} tags` });
+      }
+      tags.forEach((tag, index) => {
+        if (typeof tag !== 'string' || !TAG_PATTERN.test(tag)) {
+          errors.push({
+            field: `tags[${index}]`,
+            message: 'Must be lowercase letters, digits and dashes, at most 24 characters'
+          });
+        }
+      });
+    }
+  }
+  
+  // Screenshots can be reordered or removed here; new ones are uploaded
+  if (screenshots !== undefined &&
+      (!Array.isArray(screenshots) || screenshots.some(key => typeof key !== 'string'))) {
+    errors.push({ field: 'screenshots', message: 'Must be an array of screenshot keys' });
+  }
+  
+  if (published !== undefined && typeof published !== 'boolean') {
+    errors.push({ field: 'published', message: 'Must be true or false' });
+  }
+  
+  if (defaultLocale !== undefined && normalizeLocale(defaultLocale) !== defaultLocale) {
+    errors.push({ field: 'defaultLocale', message: 'Not a locale tag such as en or pt-BR' });
+  }
+  
+  if (localizations !== undefined) {
+    const localeErrors = validateLocalizations(localizations, { field: 'localizations', extraFields: ['screenshots'] });
+    errors.push(...localeErrors);
+    
+    if (localeErrors.length === 0) {
+      for (const [locale, translation] of Object.entries(localizations)) {
+        if (translation?.releaseNotes !== undefined) {
+          errors.push({ field: `localizations.${locale}.releaseNotes`, message: 'Set release notes per version with releaseNotes' });
+        }
+        if (translation?.screenshots !== undefined &&
+            (!Array.isArray(translation.screenshots) || translation.screenshots.some(key => typeof key !== 'string'))) {
+          errors.push({ field: `localizations.${locale}.screenshots`, message: 'Must be an array of screenshot keys' });
+        }
+      }
+    }
+  }
+  
+  if (releaseNotes !== undefined) {
+    if (!versionId) {
+      errors.push({ field: 'versionId', message: 'Required with releaseNotes' });
+    }
+    if (!releaseNotes || typeof releaseNotes !== 'object' || Array.isArray(releaseNotes)) {
+      errors.push({ field: 'releaseNotes', message: 'Must be an object keyed by locale' });
+    } else {
+      for (const [locale, notes] of Object.entries(releaseNotes)) {
+        if (normalizeLocale(locale) !== locale) {
+          errors.push({ field: `releaseNotes.${locale}`, message: 'Not a locale tag such as de or pt-BR' });
+        } else if (notes !== null && typeof notes !== 'string') {
+          errors.push({ field: `releaseNotes.${locale}`, message: 'Must be a string or null' });
+        } else if (notes?.length > 4000) {
+          errors.push({ field: `releaseNotes.${locale}`, message: 'Must be at most 4000 characters' });
+        }
+      }
+    }
+  }
+  
+  return errors;
+}
+
+// An app with its versions, newest first, or null when it does not
+// exist. `owned` is false for other developers' apps.
+export async function getListing(supabase, appId, userId) {
+  const app = await getApp(supabase, appId);
+  
+  if (!app) {
+    return null;
+  }
+  
+  return {
+    app,
+    owned: app.developer_id === userId,
+    versions: await listVersions(supabase, app.id)
+  };
+}
+
+// The developer who owns an app name, if anyone has published it
+export async function listingOwner(supabase, name) {
+  const { data } = await supabase
+    .from('apps')
+    .select('developer_id')
+    .eq('name', name)
+    .not('developer_id', 'is', null)
+    .order('created_at', { ascending: true })
+    .limit(1)
+    .maybeSingle();
+  
+  return data?.developer_id || null;
+}
@@ -0,0 +1,542 @@
+import JSZip from 'jszip';
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import { Readable, pipeline } from 'stream';
+
+// Safe handling of untrusted ZIP/APK archives. Every entry is checked for
+// path traversal, symlinks, size and compression ratio before anything is
+// written to disk.
+
+export const DEFAULT_LIMITS = {
+  maxEntries: 10000,
+  maxFileSize: 100 * 1024 * 1024, // 100MB per entry
+  maxTotalSize: 500 * 1024 * 1024, // 500MB uncompressed in total
+  maxCompressionRatio: 200,
+  // Small entries compress extremely well without being a threat
+  ratioThreshold: 1024 * 1024
+};
+
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_SIGNATURE = 0x06054b50;
+const ZIP64_END_SIGNATURE = 0x06064b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const END_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+const READ_SIZE = 64 * 1024;
+
+// Filesystem errors from two entries landing on the same path
+const PATH_CONFLICT_CODES = new Set(['EEXIST', 'ENOTDIR', 'EISDIR']);
+
+export class ExtractionError extends Error {
+  constructor(message, violations = []) {
+    super(message);
+    this.name = 'ExtractionError';
+    this.violations = violations;
+  }
+}
+
+// Load an archive and validate every entry without extracting it. `source`
+// is the archive's bytes, or the path of an archive on disk, which is read
+// an entry at a time instead of all at once; close those with
+// closeArchive().
+export async function openArchive(source, limits = {}) {
+  const options = { ...DEFAULT_LIMITS, ...limits };
+  
+  let archive;
+  try {
+    archive = typeof source === 'string'
+      ? await FileArchive.open(source)
+      : await JSZip.loadAsync(source);
+  } catch (error) {
+    throw new ExtractionError(`Invalid archive: ${error.message}`);
+  }
+  
+  const violations = inspectArchive(archive, options);
+  
+  if (violations.length > 0) {
+    await closeArchive(archive);
+    throw new ExtractionError('Archive failed safety checks', violations);
+  }
+  
+  return archive;
+}
+
+export function isArchive(source) {
+  return source instanceof JSZip || source instanceof FileArchive;
+}
+
+export async function closeArchive(archive) {
+  if (archive instanceof FileArchive) {
+    await archive.close();
+  }
+}
+
+export function inspectArchive(archive, limits = {}) {
+  const options = { ...DEFAULT_LIMITS, ...limits };
+  const entries = Object.values(archive.files);
+  const violations = [];
+  
+  if (entries.length > options.maxEntries) {
+    violations.push({
+      entry: null,
+      reason: `Too many entries (${entries.length} > ${options.maxEntries})`
+    });
+  }
+  
+  let totalSize = 0;
+  const placed = [];
+  
+  for (const entry of entries) {
+    const name = entry.unsafeOriginalName || entry.name;
+    const pathProblem = checkEntryPath(name);
+    
+    if (pathProblem) {
+      violations.push({ entry: name, reason: pathProblem });
+      continue;
+    }
+    
+    placed.push({ name, dir: entry.dir });
+    
+    if (entry.dir) {
+      continue;
+    }
+    
+    // Packages never need links, and a chain of them can point a later
+    // entry outside the extraction directory
+    if (isSymlink(entry)) {
+      violations.push({ entry: name, reason: 'Symbolic links are not allowed' });
+      continue;
+    }
+    
+    // Declared sizes come from the central directory; actual bytes are
+    // counted again while extracting in case they lie.
+    const uncompressedSize = entry._data?.uncompressedSize ?? 0;
+    const compressedSize = entry._data?.compressedSize ?? 0;
+    totalSize += uncompressedSize;
+    
+    if (uncompressedSize > options.maxFileSize) {
+      violations.push({
+        entry: name,
+        reason: `Exceeds per-file size limit (${uncompressedSize} > ${options.maxFileSize} bytes)`
+      });
+    }
+    
+    if (uncompressedSize > options.ratioThreshold) {
+      const ratio = compressedSize > 0 ? uncompressedSize / compressedSize : Infinity;
+      if (ratio > options.maxCompressionRatio) {
+        violations.push({
+          entry: name,
+          reason: `Suspicious compression ratio (${Number.isFinite(ratio) ? ratio.toFixed(0) : '∞'}:1)`
+        });
+      }
+    }
+  }
+  
+  if (totalSize > options.maxTotalSize) {
+    violations.push({
+      entry: null,
+      reason: `Total uncompressed size exceeds limit (${totalSize} > ${options.maxTotalSize} bytes)`
+    });
+  }
+  
+  violations.push(...checkEntryTargets(placed));
+  
+  return violations;
+}
+
+// Entries are compared by where they land on disk, so `a` and `./a`, or a
+// file `a` alongside `a/b`, are refused before anything is written
+function checkEntryTargets(entries) {
+  const violations = [];
+  const targets = new Map();
+  
+  for (const { name, dir } of entries) {
+    const target = entryTarget(name);
+    const existing = targets.get(target);
+    
+    if (target === '' && !dir) {
+      violations.push({ entry: name, reason: 'Invalid entry name' });
+      continue;
+    }
+    if (existing && !(existing.dir && dir)) {
+      violations.push({ entry: name, reason: `Conflicts with ${existing.name}` });
+      continue;
+    }
+    targets.set(target, existing || { name, dir });
+  }
+  
+  for (const [target, { name }] of targets) {
+    for (let parent = path.dirname(target); parent !== '.'; parent = path.dirname(parent)) {
+      const ancestor = targets.get(parent);
+      
+      if (ancestor && !ancestor.dir) {
+        violations.push({ entry: name, reason: `Parent ${ancestor.name} is a file` });
+        break;
+      }
+    }
+  }
+  
+  return violations;
+}
+
+// An entry's path inside the extraction directory, resolved the way
+// safeExtract resolves it
+function entryTarget(name) {
+  const root = path.resolve('/');
+  return path.relative(root, path.resolve(root, name));
+}
+
+function checkEntryPath(name) {
+  if (!name || name.includes('\0')) {
+    return 'Invalid entry name';
+  }
+  if (name.startsWith('/') || name.startsWith('\\') || /^[a-zA-Z]:/.test(name)) {
+    return 'Absolute path';
+  }
+  if (name.split(/[\\/]/).includes('..')) {
+    return 'Path traversal';
+  }
+  return null;
+}
+
+function isSymlink(entry) {
+  return typeof entry.unixPermissions === 'number' &&
+    (entry.unixPermissions & S_IFMT) === S_IFLNK;
+}
+
+function isWithin(target, root) {
+  const relative = path.relative(root, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// Validate and extract an archive into targetDir. On any violation the
+// partially extracted directory is removed and an ExtractionError thrown.
+export async function safeExtract(source, targetDir, limits = {}) {
+  const options = { ...DEFAULT_LIMITS, ...limits };
+  const archive = isArchive(source) ? source : await openArchive(source, options);
+  const root = path.resolve(targetDir);
+  const extracted = [];
+  const budget = { total: 0 };
+  let current = null;
+  
+  await fs.mkdir(root, { recursive: true });
+  const realRoot = await fs.realpath(root);
+  
+  try {
+    for (const entry of Object.values(archive.files)) {
+      const name = entry.unsafeOriginalName || entry.name;
+      current = name;
+      const destination = path.resolve(root, name);
+      
+      if (checkEntryPath(name) || !isWithin(destination, root)) {
+        throw new ExtractionError('Archive failed safety checks', [
+          { entry: name, reason: 'Path escapes extraction directory' }
+        ]);
+      }
+      
+      if (entry.dir) {
+        await fs.mkdir(destination, { recursive: true });
+        continue;
+      }
+      
+      if (isSymlink(entry)) {
+        throw new ExtractionError('Archive failed safety checks', [
+          { entry: name, reason: 'Symbolic links are not allowed' }
+        ]);
+      }
+      
+      await fs.mkdir(path.dirname(destination), { recursive: true });
+      
+      // Check where the parent really is on disk, not just what the name
+      // says, so nothing is written through a linked directory
+      const parent = await fs.realpath(path.dirname(destination));
+      
+      if (!isWithin(parent, realRoot)) {
+        throw new ExtractionError('Archive failed safety checks', [
+          { entry: name, reason: 'Path escapes extraction directory' }
+        ]);
+      }
+      
+      await writeEntry(entry, name, path.join(parent, path.basename(destination)), options, budget);
+      
+      extracted.push(name);
+    }
+  } catch (error) {
+    await fs.rm(root, { recursive: true, force: true });
+    
+    // Clashes the checks cannot see, such as names that differ only in case
+    // on a case-insensitive disk
+    if (PATH_CONFLICT_CODES.has(error.code)) {
+      throw new ExtractionError('Archive failed safety checks', [
+        { entry: current, reason: 'Conflicts with another entry' }
+      ]);
+    }
+    throw error;
+  } finally {
+    if (archive !== source) {
+      await closeArchive(archive);
+    }
+  }
+  
+  return extracted;
+}
+
+async function writeEntry(entry, name, destination, options, budget) {
+  // 'wx' refuses to write through an existing file or symlink
+  const handle = await fs.open(destination, 'wx');
+  let written = 0;
+  
+  // JSZip's stream predates async iteration; wrap it in a native Readable
+  const stream = new Readable().wrap(entry.nodeStream('nodebuffer'));
+  
+  try {
+    for await (const chunk of stream) {
+      written += chunk.length;
+      budget.total += chunk.length;
+      
+      if (written > options.maxFileSize) {
+        throw new ExtractionError('Archive failed safety checks', [
+          { entry: name, reason: `Exceeds per-file size limit (${options.maxFileSize} bytes)` }
+        ]);
+      }
+      
+      if (budget.total > options.maxTotalSize) {
+        throw new ExtractionError('Archive failed safety checks', [
+          { entry: name, reason: `Total uncompressed size exceeds limit (${options.maxTotalSize} bytes)` }
+        ]);
+      }
+      
+      await handle.write(chunk);
+    }
+  } finally {
+    stream.destroy();
+    await handle.close();
+  }
+}
+
+// An archive on disk, read through its central directory. Offers the part
+// of JSZip's interface the checks and extraction use: `files`,
+// `file(name)`, and `async()` and `nodeStream()` on entries.
+class FileArchive {
+  constructor(handle, files) {
+    this.handle = handle;
+    this.files = files;
+  }
+  
+  static async open(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    
+    try {
+      return new FileArchive(handle, await readCentralDirectory(handle));
+    } catch (error) {
+      await handle.close();
+      throw error;
+    }
+  }
+  
+  file(name) {
+    const entry = this.files[name];
+    return entry && !entry.dir ? entry : null;
+  }
+  
+  async close() {
+    await this.handle.close();
+  }
+}
+
+class FileArchiveEntry {
+  constructor(handle, { name, dir, unixPermissions, method, offset, compressedSize, uncompressedSize }) {
+    this.handle = handle;
+    this.name = name;
+    this.dir = dir;
+    this.unixPermissions = unixPermissions;
+    this.method = method;
+    this.offset = offset;
+    // Where JSZip keeps the declared sizes, so both kinds of archive are
+    // checked alike
+    this._data = { compressedSize, uncompressedSize };
+  }
+  
+  nodeStream() {
+    return Readable.from(this.chunks());
+  }
+  
+  async async(type) {
+    const chunks = [];
+    for await (const chunk of this.chunks()) {
+      chunks.push(chunk);
+    }
+    const buffer = Buffer.concat(chunks);
+    
+    switch (type) {
+      case 'nodebuffer':
+        return buffer;
+      case 'uint8array':
+        return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length);
+      case 'text':
+      case 'string':
+        return buffer.toString('utf8');
+      default:
+        throw new Error(`Unsupported output type: ${type}`);
+    }
+  }
+  
+  // Inflated content, stopped as soon as it outgrows the declared size
+  async *chunks() {
+    const header = await readAt(this.handle, this.offset, 30);
+    
+    if (header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+      throw new ExtractionError(`Invalid archive: corrupt local header for ${this.name}`);
+    }
+    
+    const start = this.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    const raw = Readable.from(readRange(this.handle, start, this._data.compressedSize));
+    const content = this.method === 8 ? pipeline(raw, zlib.createInflateRaw(), () => {}) : raw;
+    let length = 0;
+    
+    for await (const chunk of content) {
+      length += chunk.length;
+      
+      if (length > this._data.uncompressedSize) {
+        throw new ExtractionError('Archive failed safety checks', [
+          { entry: this.name, reason: 'Entry is larger than its declared size' }
+        ]);
+      }
+      yield chunk;
+    }
+  }
+}
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  
+  if (bytesRead < length) {
+    throw new Error('Unexpected end of archive');
+  }
+  return buffer;
+}
+
+async function* readRange(handle, start, length) {
+  for (let position = start; position < start + length; position += READ_SIZE) {
+    yield await readAt(handle, position, Math.min(READ_SIZE, start + length - position));
+  }
+}
+
+async function readCentralDirectory(handle) {
+  const { size } = await handle.stat();
+  
+  // The end record closes the file, followed only by its comment
+  const tailStart = Math.max(0, size - END_SIZE - MAX_COMMENT_SIZE);
+  const tail = await readAt(handle, tailStart, size - tailStart);
+  let end = tail.length - END_SIZE;
+  
+  while (end >= 0 && tail.readUInt32LE(end) !== END_SIGNATURE) {
+    end--;
+  }
+  if (end < 0) {
+    throw new Error('End of central directory not found');
+  }
+  
+  let count = tail.readUInt16LE(end + 10);
+  let directorySize = tail.readUInt32LE(end + 12);
+  let directoryOffset = tail.readUInt32LE(end + 16);
+  
+  // ZIP64 archives keep the real values in a record the locator points to
+  if (count === 0xffff || directorySize === 0xffffffff || directoryOffset === 0xffffffff) {
+    const locatorStart = tailStart + end - 20;
+    const locator = locatorStart >= 0 ? await readAt(handle, locatorStart, 20) : null;
+    
+    if (!locator || locator.readUInt32LE(0) !== ZIP64_LOCATOR_SIGNATURE) {
+      throw new Error('ZIP64 end of central directory not found');
+    }
+    
+    const record = await readAt(handle, Number(locator.readBigUInt64LE(8)), 56);
+    
+    if (record.readUInt32LE(0) !== ZIP64_END_SIGNATURE) {
+      throw new Error('ZIP64 end of central directory not found');
+    }
+    count = Number(record.readBigUInt64LE(32));
+    directorySize = Number(record.readBigUInt64LE(40));
+    directoryOffset = Number(record.readBigUInt64LE(48));
+  }
+  
+  if (directoryOffset + directorySize > size) {
+    throw new Error('Central directory is out of bounds');
+  }
+  
+  const directory = await readAt(handle, directoryOffset, directorySize);
+  const files = Object.create(null);
+  let position = 0;
+  
+  for (let i = 0; i < count; i++) {
+    if (position + 46 > directory.length || directory.readUInt32LE(position) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('Corrupt central directory');
+    }
+    
+    const madeBy = directory.readUInt16LE(position + 4) >> 8;
+    const flags = directory.readUInt16LE(position + 8);
+    const method = directory.readUInt16LE(position + 10);
+    const nameLength = directory.readUInt16LE(position + 28);
+    const extraLength = directory.readUInt16LE(position + 30);
+    const commentLength = directory.readUInt16LE(position + 32);
+    const attributes = directory.readUInt32LE(position + 38);
+    const nameStart = position + 46;
+    const name = directory.toString(flags & 0x800 ? 'utf8' : 'latin1', nameStart, nameStart + nameLength);
+    
+    if (flags & 0x1) {
+      throw new Error(`${name} is encrypted`);
+    }
+    if (method !== 0 && method !== 8) {
+      throw new Error(`${name} uses unsupported compression method ${method}`);
+    }
+    
+    const sizes = readZip64Extra(directory.subarray(nameStart + nameLength, nameStart + nameLength + extraLength), {
+      uncompressedSize: directory.readUInt32LE(position + 24),
+      compressedSize: directory.readUInt32LE(position + 20),
+      offset: directory.readUInt32LE(position + 42)
+    });
+    
+    // Readers disagree on which copy of a repeated name wins
+    if (name in files) {
+      throw new Error(`${name} appears more than once`);
+    }
+    
+    files[name] = new FileArchiveEntry(handle, {
+      name,
+      // Made on DOS (0) or Unix (3), as JSZip reads them
+      dir: name.endsWith('/') || (madeBy === 0 && (attributes & 0x10) !== 0),
+      unixPermissions: madeBy === 3 ? (attributes >>> 16) & 0xffff : null,
+      method,
+      ...sizes
+    });
+    
+    position = nameStart + nameLength + extraLength + commentLength;
+  }
+  
+  return files;
+}
+
+// 32-bit fields set to 0xffffffff continue, in this order, in the ZIP64
+// extra field
+function readZip64Extra(extra, values) {
+  for (let i = 0; i + 4 <= extra.length; i += 4 + extra.readUInt16LE(i + 2)) {
+    if (extra.readUInt16LE(i) !== 0x0001) {
+      continue;
+    }
+    
+    let field = i + 4;
+    for (const key of ['uncompressedSize', 'compressedSize', 'offset']) {
+      if (values[key] === 0xffffffff && field + 8 <= i + 4 + extra.readUInt16LE(i + 2)) {
+        values[key] = Number(extra.readBigUInt64LE(field));
+        field += 8;
+      }
+    }
+  }
+  return values;
+}
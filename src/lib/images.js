@@ -0,0 +1,131 @@
+import sharp from 'sharp';
+import { assetUrl } from './storage';
+
+// Store artwork. Icons are rendered as square PNGs at every size the
+// shell shows them; screenshots are re-encoded as WebP with a thumbnail.
+// Everything is decoded and re-encoded, which also drops EXIF and other
+// metadata (after applying its orientation).
+export const ICON_SIZES = {
+  taskbar: 32,
+  desktop: 64,
+  card: 128,
+  hidpi: 256
+};
+
+export const MAX_SCREENSHOTS = 5;
+
+const ICON_FORMATS = ['png', 'jpeg', 'webp', 'svg'];
+const SCREENSHOT_FORMATS = ['png', 'jpeg', 'webp'];
+const MAX_ICON_BYTES = 1024 * 1024; // 1MB
+const MAX_SCREENSHOT_BYTES = 8 * 1024 * 1024; // 8MB
+const MIN_ICON_SIZE = 64;
+const MAX_DIMENSION = 4096;
+const SCREENSHOT_WIDTH = 1920;
+const THUMBNAIL_WIDTH = 480;
+
+export class ImageError extends Error {
+  constructor(message, file) {
+    super(message);
+    this.name = 'ImageError';
+    this.file = file;
+  }
+}
+
+// Decode just enough to know what the file is, refusing anything that is
+// not an allowed image or would decompress to something huge
+async function inspect(buffer, file, { formats, maxBytes }) {
+  if (buffer.length > maxBytes) {
+    throw new ImageError(`${file} is larger than ${Math.round(maxBytes / 1024)}KB`, file);
+  }
+  
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_DIMENSION * MAX_DIMENSION }).metadata();
+  } catch {
+    throw new ImageError(`${file} is not a readable image`, file);
+  }
+  
+  if (!formats.includes(metadata.format)) {
+    throw new ImageError(`${file} must be ${formats.map(format => format.toUpperCase()).join(', ')}`, file);
+  }
+  
+  if (metadata.width > MAX_DIMENSION || metadata.height > MAX_DIMENSION) {
+    throw new ImageError(`${file} is larger than ${MAX_DIMENSION}x${MAX_DIMENSION}`, file);
+  }
+  
+  return metadata;
+}
+
+function decode(buffer) {
+  return sharp(buffer, { limitInputPixels: MAX_DIMENSION * MAX_DIMENSION }).rotate();
+}
+
+// Icon renditions keyed like ICON_SIZES: { taskbar: { buffer, size }, ... }
+export async function processIcon(buffer, file) {
+  const metadata = await inspect(buffer, file, { formats: ICON_FORMATS, maxBytes: MAX_ICON_BYTES });
+  
+  // Vector icons render cleanly at any size
+  if (metadata.format !== 'svg') {
+    if (Math.min(metadata.width, metadata.height) < MIN_ICON_SIZE) {
+      throw new ImageError(`${file} must be at least ${MIN_ICON_SIZE}x${MIN_ICON_SIZE}`, file);
+    }
+    
+    const ratio = metadata.width / metadata.height;
+    if (ratio < 0.9 || ratio > 1.1) {
+      throw new ImageError(`${file} must be square (got ${metadata.width}x${metadata.height})`, file);
+    }
+  }
+  
+  const renditions = {};
+  for (const [name, size] of Object.entries(ICON_SIZES)) {
+    renditions[name] = {
+      size,
+      buffer: await decode(buffer)
+        .resize(size, size, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+        .png({ compressionLevel: 9 })
+        .toBuffer()
+    };
+  }
+  return renditions;
+}
+
+// { image, thumbnail } with WebP buffers and their dimensions
+export async function processScreenshot(buffer, file) {
+  await inspect(buffer, file, { formats: SCREENSHOT_FORMATS, maxBytes: MAX_SCREENSHOT_BYTES });
+  
+  const image = await decode(buffer)
+    .resize({ width: SCREENSHOT_WIDTH, withoutEnlargement: true })
+    .webp({ quality: 85 })
+    .toBuffer({ resolveWithObject: true });
+  
+  const thumbnail = await decode(buffer)
+    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+    .webp({ quality: 75 })
+    .toBuffer({ resolveWithObject: true });
+  
+  return {
+    image: { buffer: image.data, width: image.info.width, height: image.info.height },
+    thumbnail: { buffer: thumbnail.data, width: thumbnail.info.width, height: thumbnail.info.height }
+  };
+}
+
+// Icon URLs for an app row, falling back to the single icon older uploads have
+export function iconUrls(app) {
+  const fallback = assetUrl(app.icon_key) || app.icon_url || null;
+  return Object.fromEntries(Object.keys(ICON_SIZES).map(name => [
+    name,
+    assetUrl(app.icon_keys?.[name]) || fallback
+  ]));
+}
+
+export function screenshotUrls(app) {
+  if (Array.isArray(app.screenshots)) {
+    return app.screenshots.map(screenshot => ({
+      url: assetUrl(screenshot.key),
+      thumbnail: assetUrl(screenshot.thumbnailKey),
+      width: screenshot.width,
+      height: screenshot.height
+    }));
+  }
+  return (app.screenshot_keys || []).map(key => ({ url: assetUrl(key), thumbnail: assetUrl(key) }));
+}
@@ -0,0 +1,118 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+
+// In-process registry of long-running jobs (installs) with progress
+// updates that SSE clients can subscribe to. Finished jobs are kept for a
+// while so late subscribers still see the outcome.
+const FINISHED_JOB_TTL = 10 * 60 * 1000; // 10 minutes
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Survive module reloads in development
+const jobs = globalThis.__fireosJobs || (globalThis.__fireosJobs = new Map());
+
+export class JobCancelledError extends Error {
+  constructor(message = 'Job cancelled') {
+    super(message);
+    this.name = 'JobCancelledError';
+  }
+}
+
+export function createJob(type, meta = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    meta,
+    status: 'running',
+    stage: 'queued',
+    progress: {},
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    controller: new AbortController(),
+    emitter: new EventEmitter()
+  };
+  
+  jobs.set(job.id, job);
+  return job;
+}
+
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+export function isFinished(job) {
+  return FINAL_STATUSES.includes(job.status);
+}
+
+// Public view of a job, safe to send to clients
+export function snapshot(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    meta: job.meta,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+export function reportProgress(job, stage, progress = {}) {
+  if (isFinished(job)) {
+    return;
+  }
+  
+  job.stage = stage;
+  job.progress = progress;
+  update(job);
+}
+
+export function completeJob(job, result) {
+  job.status = 'completed';
+  job.stage = 'done';
+  job.result = result;
+  finish(job);
+}
+
+export function failJob(job, error, result = null) {
+  job.status = error instanceof JobCancelledError ? 'cancelled' : 'failed';
+  job.error = error.message;
+  job.result = result;
+  finish(job);
+}
+
+// Ask a running job to stop; it rolls back at its next checkpoint
+export function cancelJob(id) {
+  const job = jobs.get(id);
+  
+  if (!job || isFinished(job)) {
+    return job;
+  }
+  
+  job.controller.abort(new JobCancelledError());
+  job.stage = 'cancelling';
+  update(job);
+  return job;
+}
+
+export function subscribe(job, listener) {
+  job.emitter.on('update', listener);
+  return () => job.emitter.off('update', listener);
+}
+
+function update(job) {
+  job.updatedAt = new Date().toISOString();
+  job.emitter.emit('update', snapshot(job));
+}
+
+function finish(job) {
+  update(job);
+  job.emitter.removeAllListeners();
+  
+  setTimeout(() => jobs.delete(job.id), FINISHED_JOB_TTL).unref?.();
+}
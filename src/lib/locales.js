@@ -0,0 +1,192 @@
+// Localized store listings. An app's name, description and screenshots
+// columns hold its default locale (apps.default_locale); translations live
+// in apps.localizations as { "de": { name, description, screenshots } }.
+// Release notes are per version in app_versions.release_notes, keyed by
+// locale including the default one. Any field a translation leaves out
+// falls back to the default locale.
+export const DEFAULT_LOCALE = 'en';
+export const MAX_LOCALES = 50;
+
+// Language, optional script and region: en, de-AT, zh-Hant-TW
+export const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Z][a-z]{3})?(-([A-Z]{2}|\d{3}))?$/;
+
+const MAX_ACCEPTED_LANGUAGES = 10;
+const MAX_SEARCH_LOCALES = 5;
+
+// Canonical casing for a locale tag ("en_us" -> "en-US"), or null if it
+// is not one
+export function normalizeLocale(tag) {
+  if (typeof tag !== 'string') {
+    return null;
+  }
+  
+  const locale = tag.trim().replace(/_/g, '-').split('-').map((part, index) => {
+    if (index === 0) {
+      return part.toLowerCase();
+    }
+    if (part.length === 4) {
+      return part[0].toUpperCase() + part.slice(1).toLowerCase();
+    }
+    return part.toUpperCase();
+  }).join('-');
+  
+  return LOCALE_PATTERN.test(locale) ? locale : null;
+}
+
+// Locales from an Accept-Language header, most preferred first
+export function parseAcceptLanguage(header) {
+  if (!header) {
+    return [];
+  }
+  
+  return header.split(',')
+    .slice(0, MAX_ACCEPTED_LANGUAGES)
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return { locale: normalizeLocale(tag), quality: q ? Number(q.slice(2)) : 1, index };
+    })
+    .filter(entry => entry.locale && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(entry => entry.locale);
+}
+
+// What the client asked for, in order: ?locale=, the user's saved
+// preference, then Accept-Language
+export function requestedLocales(request, preference) {
+  const { searchParams } = new URL(request.url);
+  return [
+    normalizeLocale(searchParams.get('locale')),
+    normalizeLocale(preference),
+    ...parseAcceptLanguage(request.headers.get('accept-language'))
+  ].filter(Boolean);
+}
+
+// The best of `available` for someone who wants `preferred`: an exact
+// match, then the same language (de-AT takes de, de takes de-DE), then
+// `fallback`
+export function negotiateLocale(preferred, available, fallback = DEFAULT_LOCALE) {
+  for (const locale of preferred) {
+    if (available.includes(locale)) {
+      return locale;
+    }
+    
+    const language = locale.split('-')[0];
+    const sameLanguage = available.find(candidate => candidate.split('-')[0] === language);
+    if (sameLanguage) {
+      return sameLanguage;
+    }
+  }
+  return fallback;
+}
+
+export function appLocales(app) {
+  const defaultLocale = app.default_locale || DEFAULT_LOCALE;
+  return [defaultLocale, ...Object.keys(app.localizations || {}).filter(locale => locale !== defaultLocale)];
+}
+
+// The listing fields of an app row in the best locale for `preferred`
+export function localizeApp(app, preferred) {
+  const defaultLocale = app.default_locale || DEFAULT_LOCALE;
+  const locale = negotiateLocale(preferred, appLocales(app), defaultLocale);
+  const translation = app.localizations?.[locale] || {};
+  
+  return {
+    locale,
+    name: translation.name || app.name,
+    description: translation.description || app.description,
+    screenshots: translation.screenshots?.length > 0 ? translation.screenshots : app.screenshots
+  };
+}
+
+export function localizeReleaseNotes(release, locale, defaultLocale = DEFAULT_LOCALE) {
+  const notes = release.release_notes || {};
+  return notes[locale] || notes[locale.split('-')[0]] || notes[defaultLocale] || null;
+}
+
+// A PostgREST or() filter matching `query` in an apps row's default name
+// and description or in its translations for the user's locales (and their
+// languages, so de-AT also searches de). Null for an empty query.
+export function searchFilter(query, preferred) {
+  const needle = query.trim();
+  
+  if (!needle) {
+    return null;
+  }
+  
+  // Literal match: escape LIKE wildcards, then quote for the filter syntax
+  const pattern = `%${needle.replace(/[\\%_]/g, '\\$&')}%`;
+  const value = `"${pattern.replace(/["\\]/g, '\\$&')}"`;
+  
+  const locales = [...new Set(preferred.slice(0, MAX_SEARCH_LOCALES)
+    .flatMap(locale => [locale, locale.split('-')[0]]))];
+  
+  const columns = [
+    'name',
+    'description',
+    ...locales.flatMap(locale => [`localizations->${locale}->>name`, `localizations->${locale}->>description`])
+  ];
+  
+  return columns.map(column => `${column}.ilike.${value}`).join(',');
+}
+
+// Field-level problems with { locale: { name, description, releaseNotes } }.
+// `extraFields` lists other keys a caller accepts (such as screenshots).
+export function validateLocalizations(localizations, { field = 'locales', extraFields = [] } = {}) {
+  if (!localizations || typeof localizations !== 'object' || Array.isArray(localizations)) {
+    return [{ field, message: 'Must be an object keyed by locale' }];
+  }
+  
+  const errors = [];
+  const entries = Object.entries(localizations);
+  
+  if (entries.length > MAX_LOCALES) {
+    errors.push({ field, message: `At most ${MAX_LOCALES} locales` });
+  }
+  
+  for (const [locale, translation] of entries) {
+    const prefix = `${field}.${locale}`;
+    
+    if (normalizeLocale(locale) !== locale) {
+      errors.push({ field: prefix, message: 'Not a locale tag such as de or pt-BR' });
+      continue;
+    }
+    
+    // null removes a translation where that is allowed
+    if (translation === null) {
+      continue;
+    }
+    
+    if (typeof translation !== 'object' || Array.isArray(translation)) {
+      errors.push({ field: prefix, message: 'Must be an object' });
+      continue;
+    }
+    
+    for (const key of Object.keys(translation)) {
+      if (!['name', 'description', 'releaseNotes', ...extraFields].includes(key)) {
+        errors.push({ field: `${prefix}.${key}`, message: 'Unknown field' });
+      }
+    }
+    
+    if (translation.name !== undefined) {
+      if (typeof translation.name !== 'string' || translation.name.trim() === '') {
+        errors.push({ field: `${prefix}.name`, message: 'Must be a non-empty string' });
+      } else if (translation.name.length > 64) {
+        errors.push({ field: `${prefix}.name`, message: 'Must be at most 64 characters' });
+      }
+    }
+    
+    for (const key of ['description', 'releaseNotes']) {
+      if (translation[key] === undefined) {
+        continue;
+      }
+      if (typeof translation[key] !== 'string') {
+        errors.push({ field: `${prefix}.${key}`, message: 'Must be a string' });
+      } else if (translation[key].length > 4000) {
+        errors.push({ field: `${prefix}.${key}`, message: 'Must be at most 4000 characters' });
+      }
+    }
+  }
+  
+  return errors;
+}
@@ -0,0 +1,274 @@
+import { isValidVersion } from './semver';
+import { validateDependencies } from './dependencies';
+import { normalizeLocale, validateLocalizations } from './locales';
+
+// The app manifest schema, shared by the store client, the APK editor,
+// upload and install. Validation returns field-level errors in the same
+// { field, message } shape as validateDependencies.
+export const MANIFEST_VERSION = 1;
+export const MANIFEST_FILE = 'manifest.json';
+
+export const APP_TYPES = ['webview', 'canvas', 'terminal', 'apk'];
+
+export const PERMISSIONS = [
+  'filesystem',
+  'network',
+  'notifications',
+  'clipboard',
+  'camera',
+  'microphone',
+  'location',
+  'bluetooth',
+  'background'
+];
+
+export const CATEGORIES = [
+  'AudioVideo',
+  'Development',
+  'Education',
+  'Game',
+  'Graphics',
+  'Network',
+  'Office',
+  'Science',
+  'Settings',
+  'System',
+  'Utility'
+];
+
+// Reverse-DNS package identifier, stable across versions and renames
+export const PACKAGE_ID_PATTERN = /^[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)+$/;
+
+const ICON_PATTERN = /\.(png|jpe?g|webp|svg)$/i;
+const SCREENSHOT_PATTERN = /\.(png|jpe?g|webp)$/i;
+const ANDROID_PERMISSION_PATTERN = /^[a-zA-Z][\w.]*\.permission\.[A-Z0-9_]+$/;
+const MAX_CATEGORIES = 3;
+
+// Fields compared between the manifest sent with an upload and the one
+// inside the archive
+const COMPARED_FIELDS = ['id', 'name', 'version', 'type', 'entryPoint', 'permissions', 'icon', 'categories', 'locales'];
+
+export class ManifestError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ManifestError';
+    this.errors = errors;
+  }
+}
+
+// `files` lists the paths inside the package; when given, entryPoint and
+// icon must point at files that exist. The package `id` is only required
+// to publish (see requirePackageId); older manifests may lack it.
+export function validateManifest(manifest, { files } = {}) {
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    return [{ field: null, message: 'Manifest must be a JSON object' }];
+  }
+  
+  const errors = [];
+  const fileSet = files ? new Set(files) : null;
+  const isApk = manifest.type === 'apk';
+  
+  if (manifest.manifestVersion !== undefined &&
+      (!Number.isInteger(manifest.manifestVersion) || manifest.manifestVersion > MANIFEST_VERSION)) {
+    errors.push({
+      field: 'manifestVersion',
+      message: `Unsupported manifest version (this store supports up to ${MANIFEST_VERSION})`
+    });
+  }
+  
+  if (manifest.id !== undefined && (typeof manifest.id !== 'string' || !PACKAGE_ID_PATTERN.test(manifest.id))) {
+    errors.push({ field: 'id', message: 'Must be a reverse-DNS identifier such as com.example.app' });
+  } else if (manifest.id?.length > 128) {
+    errors.push({ field: 'id', message: 'Must be at most 128 characters' });
+  }
+  
+  if (typeof manifest.name !== 'string' || manifest.name.trim() === '') {
+    errors.push({ field: 'name', message: 'Required' });
+  } else if (manifest.name.length > 64) {
+    errors.push({ field: 'name', message: 'Must be at most 64 characters' });
+  }
+  
+  if (!manifest.version) {
+    errors.push({ field: 'version', message: 'Required' });
+  } else if (!isValidVersion(manifest.version)) {
+    errors.push({ field: 'version', message: `Not a semantic version: ${manifest.version}` });
+  }
+  
+  if (!manifest.type) {
+    errors.push({ field: 'type', message: 'Required' });
+  } else if (!APP_TYPES.includes(manifest.type)) {
+    errors.push({ field: 'type', message: `Must be one of: ${APP_TYPES.join(', ')}` });
+  }
+  
+  // APKs are launched from the package itself
+  if (!isApk) {
+    const pathError = checkPackagePath(manifest.entryPoint, fileSet);
+    if (pathError) {
+      errors.push({ field: 'entryPoint', message: pathError });
+    }
+  }
+  
+  if (manifest.permissions !== undefined) {
+    if (!Array.isArray(manifest.permissions)) {
+      errors.push({ field: 'permissions', message: 'Must be an array' });
+    } else {
+      manifest.permissions.forEach((permission, index) => {
+        const known = PERMISSIONS.includes(permission) ||
+          (isApk && ANDROID_PERMISSION_PATTERN.test(permission));
+        if (!known) {
+          errors.push({
+            field: `permissions[${index}]`,
+            message: `Unknown permission: ${permission}`
+          });
+        }
+      });
+    }
+  }
+  
+  if (manifest.icon !== undefined) {
+    const pathError = checkPackagePath(manifest.icon, fileSet);
+    if (pathError) {
+      errors.push({ field: 'icon', message: pathError });
+    } else if (!ICON_PATTERN.test(manifest.icon)) {
+      errors.push({ field: 'icon', message: 'Must be a PNG, JPEG, WebP or SVG image' });
+    }
+  }
+  
+  if (manifest.categories !== undefined) {
+    if (!Array.isArray(manifest.categories)) {
+      errors.push({ field: 'categories', message: 'Must be an array' });
+    } else {
+      if (manifest.categories.length > MAX_CATEGORIES) {
+        errors.push({ field: 'categories', message: `At most ${MAX_CATEGORIES} categories` });
+      }
+      manifest.categories.forEach((category, index) => {
+        if (!CATEGORIES.includes(category)) {
+          errors.push({
+            field: `categories[${index}]`,
+            message: `Must be one of: ${CATEGORIES.join(', ')}`
+          });
+        }
+      });
+    }
+  }
+  
+  for (const field of ['description', 'releaseNotes', 'author', 'license']) {
+    if (manifest[field] !== undefined && typeof manifest[field] !== 'string') {
+      errors.push({ field, message: 'Must be a string' });
+    }
+  }
+  
+  for (const field of ['description', 'releaseNotes']) {
+    if (typeof manifest[field] === 'string' && manifest[field].length > 4000) {
+      errors.push({ field, message: 'Must be at most 4000 characters' });
+    }
+  }
+  
+  // Translations of the store listing; the top-level fields are in defaultLocale
+  if (manifest.defaultLocale !== undefined && normalizeLocale(manifest.defaultLocale) !== manifest.defaultLocale) {
+    errors.push({ field: 'defaultLocale', message: 'Not a locale tag such as en or pt-BR' });
+  }
+  
+  if (manifest.locales !== undefined) {
+    const localeErrors = validateLocalizations(manifest.locales, { extraFields: ['screenshots'] });
+    errors.push(...localeErrors);
+    
+    if (localeErrors.length === 0) {
+      for (const [locale, translation] of Object.entries(manifest.locales)) {
+        if (translation === null) {
+          errors.push({ field: `locales.${locale}`, message: 'Must be an object' });
+        } else if (translation.screenshots !== undefined) {
+          errors.push(...checkScreenshots(translation.screenshots, `locales.${locale}.screenshots`, fileSet));
+        }
+      }
+    }
+  }
+  
+  if (manifest.services !== undefined &&
+      (!Array.isArray(manifest.services) || manifest.services.some(service => typeof service !== 'string'))) {
+    errors.push({ field: 'services', message: 'Must be an array of service names' });
+  }
+  
+  return errors.concat(validateDependencies(manifest));
+}
+
+function checkScreenshots(screenshots, field, fileSet) {
+  if (!Array.isArray(screenshots)) {
+    return [{ field, message: 'Must be an array of image paths' }];
+  }
+  
+  return screenshots.flatMap((path, index) => {
+    const pathError = checkPackagePath(path, fileSet);
+    if (pathError) {
+      return [{ field: `${field}[${index}]`, message: pathError }];
+    }
+    if (!SCREENSHOT_PATTERN.test(path)) {
+      return [{ field: `${field}[${index}]`, message: 'Must be a PNG, JPEG or WebP image' }];
+    }
+    return [];
+  });
+}
+
+function checkPackagePath(value, fileSet) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return 'Required';
+  }
+  if (value.startsWith('/') || value.split(/[\\/]/).includes('..')) {
+    return 'Must be a relative path inside the package';
+  }
+  if (fileSet && !fileSet.has(value)) {
+    return `File not found in package: ${value}`;
+  }
+  return null;
+}
+
+export function requirePackageId(manifest) {
+  if (manifest?.id === undefined) {
+    throw new ManifestError('Manifest has no package id', [
+      { field: 'id', message: 'Required to publish, e.g. com.example.app' }
+    ]);
+  }
+}
+
+// Fields where the upload form and the packaged manifest disagree
+export function compareManifests(submitted, packaged) {
+  return COMPARED_FIELDS
+    .filter(field => JSON.stringify(submitted?.[field] ?? null) !== JSON.stringify(packaged?.[field] ?? null))
+    .map(field => ({
+      field,
+      message: 'Does not match manifest.json in the package',
+      submitted: submitted?.[field] ?? null,
+      packaged: packaged?.[field] ?? null
+    }));
+}
+
+// Read and validate manifest.json from a JSZip archive. Throws ManifestError.
+export async function readArchiveManifest(archive) {
+  const file = archive.file(MANIFEST_FILE);
+  
+  if (!file) {
+    throw new ManifestError(`Package has no ${MANIFEST_FILE}`, [
+      { field: null, message: `Missing ${MANIFEST_FILE}` }
+    ]);
+  }
+  
+  let manifest;
+  try {
+    manifest = JSON.parse(await file.async('text'));
+  } catch (error) {
+    throw new ManifestError(`${MANIFEST_FILE} is not valid JSON`, [
+      { field: null, message: error.message }
+    ]);
+  }
+  
+  const files = Object.values(archive.files)
+    .filter(entry => !entry.dir)
+    .map(entry => entry.name);
+  const errors = validateManifest(manifest, { files });
+  
+  if (errors.length > 0) {
+    throw new ManifestError('Invalid manifest', errors);
+  }
+  
+  return manifest;
+}
@@ -0,0 +1,101 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Permission names are free-form strings from the app manifest
+// (e.g. 'filesystem', 'network' or Android permission names).
+export function normalizePermissions(permissions) {
+  if (!Array.isArray(permissions)) {
+    return [];
+  }
+  
+  return [...new Set(
+    permissions
+      .filter(permission => typeof permission === 'string')
+      .map(permission => permission.trim())
+      .filter(Boolean)
+  )];
+}
+
+// Split a user's grant against what the app requested. Anything the app
+// did not ask for cannot be granted.
+export function resolveGrants(requested, granted) {
+  const requestedSet = new Set(normalizePermissions(requested));
+  const grantedList = normalizePermissions(granted);
+  
+  return {
+    granted: grantedList.filter(permission => requestedSet.has(permission)),
+    denied: [...requestedSet].filter(permission => !grantedList.includes(permission)),
+    invalid: grantedList.filter(permission => !requestedSet.has(permission))
+  };
+}
+
+export function hasPermission(runtimeConfig, permission) {
+  return Boolean(runtimeConfig?.permissions?.includes(permission));
+}
+
+// Rewrite the permission set in runtime.json so the runtime enforces it
+export async function syncRuntimePermissions(dataDir, permissions) {
+  const runtimePath = path.join(dataDir, 'runtime.json');
+  
+  let runtimeConfig;
+  try {
+    runtimeConfig = JSON.parse(await fs.readFile(runtimePath, 'utf8'));
+  } catch {
+    return null;
+  }
+  
+  runtimeConfig.permissions = normalizePermissions(permissions);
+  runtimeConfig.permissionsUpdatedAt = new Date().toISOString();
+  
+  await fs.writeFile(runtimePath, JSON.stringify(runtimeConfig, null, 2));
+  return runtimeConfig;
+}
+
+// Bring the active rows in permission_grants in line with `permissions`.
+// Removed permissions are marked revoked rather than deleted so the user
+// can review what an app used to have.
+export async function saveGrants(supabase, installationId, permissions) {
+  const target = normalizePermissions(permissions);
+  
+  const { data: active, error: lookupError } = await supabase
+    .from('permission_grants')
+    .select('id, permission')
+    .eq('installation_id', installationId)
+    .is('revoked_at', null);
+  
+  if (lookupError) {
+    throw lookupError;
+  }
+  
+  const activeNames = (active || []).map(grant => grant.permission);
+  const toGrant = target.filter(permission => !activeNames.includes(permission));
+  const toRevoke = (active || []).filter(grant => !target.includes(grant.permission));
+  const now = new Date().toISOString();
+  
+  if (toGrant.length > 0) {
+    const { error } = await supabase
+      .from('permission_grants')
+      .insert(toGrant.map(permission => ({
+        installation_id: installationId,
+        permission,
+        granted_at: now
+      })));
+    
+    if (error) {
+      throw error;
+    }
+  }
+  
+  if (toRevoke.length > 0) {
+    const { error } = await supabase
+      .from('permission_grants')
+      .update({ revoked_at: now })
+      .in('id', toRevoke.map(grant => grant.id));
+    
+    if (error) {
+      throw error;
+    }
+  }
+  
+  return { granted: toGrant, revoked: toRevoke.map(grant => grant.permission) };
+}
@@ -0,0 +1,299 @@
+import fs from 'fs/promises';
+import basePolicy from '../config/content-policy.json';
+import { APP_TYPES, PERMISSIONS } from './manifest';
+
+// Content policy for app packages, per manifest type. The base policy is
+// src/config/content-policy.json (or CONTENT_POLICY_FILE); admins layer
+// overrides on top from the content_policy_overrides table. Layers apply
+// in order: base default, base type, override default, override type.
+//
+//   maxPackageSize, maxFileSize, maxFiles   numbers, later layers replace
+//   allow                                   globs every file must match (empty: anything)
+//   requiredFiles                           paths; "{entryPoint}" is the manifest's
+//   deny                                    [{ id, pattern, reason }], accumulated
+//   permissionRules                         [{ id, permissions, action, reason }], accumulated;
+//                                           "flag" reports without rejecting
+//   disabledRules                           rule ids to switch off, accumulated
+//
+// Built-in checks have ids too (allow, requiredFiles, maxFiles, maxFileSize,
+// maxPackageSize), so they can be disabled the same way.
+export const POLICY_SCOPES = ['default', ...APP_TYPES];
+
+const ACCUMULATED = ['deny', 'permissionRules', 'disabledRules'];
+const REPLACED = ['maxPackageSize', 'maxFileSize', 'maxFiles', 'allow', 'requiredFiles'];
+const CACHE_TTL = 60 * 1000;
+
+// Survive module reloads in development
+const cache = globalThis.__fireosPolicy || (globalThis.__fireosPolicy = { state: null });
+
+export class PolicyError extends Error {
+  constructor(message, violations = []) {
+    super(message);
+    this.name = 'PolicyError';
+    this.violations = violations;
+  }
+}
+
+// Glob to RegExp: ** crosses directories, * and ? do not, {a,b} alternates
+export function globToRegExp(glob) {
+  let pattern = '';
+  let braces = 0;
+  
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    
+    if (char === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        pattern += '(?:.*/)?';
+        i += 2;
+      } else {
+        pattern += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else if (char === '{') {
+      pattern += '(?:';
+      braces++;
+    } else if (char === '}' && braces > 0) {
+      pattern += ')';
+      braces--;
+    } else if (char === ',' && braces > 0) {
+      pattern += '|';
+    } else {
+      pattern += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  
+  if (braces > 0) {
+    throw new Error(`Unclosed brace in pattern: ${glob}`);
+  }
+  return new RegExp(`^${pattern}$`, 'i');
+}
+
+async function loadBase() {
+  if (process.env.CONTENT_POLICY_FILE) {
+    return JSON.parse(await fs.readFile(process.env.CONTENT_POLICY_FILE, 'utf8'));
+  }
+  return basePolicy;
+}
+
+// Base policy and overrides, cached briefly so uploads do not hit the
+// database each time
+export async function loadPolicy(supabase, { refresh = false } = {}) {
+  if (!refresh && cache.state && Date.now() - cache.state.loadedAt < CACHE_TTL) {
+    return cache.state;
+  }
+  
+  const base = await loadBase();
+  const { data, error } = await supabase
+    .from('content_policy_overrides')
+    .select('scope, policy');
+  
+  if (error) {
+    throw error;
+  }
+  
+  cache.state = {
+    loadedAt: Date.now(),
+    base,
+    overrides: Object.fromEntries((data || []).map(row => [row.scope, row.policy]))
+  };
+  return cache.state;
+}
+
+export function invalidatePolicy() {
+  cache.state = null;
+}
+
+// The effective policy for one app type
+export function resolvePolicy({ base, overrides }, type) {
+  const layers = [base.default, base.types?.[type], overrides.default, overrides[type]];
+  const policy = { type, allow: [], requiredFiles: [], deny: [], permissionRules: [], disabledRules: [] };
+  
+  for (const layer of layers.filter(Boolean)) {
+    for (const key of ACCUMULATED) {
+      if (layer[key]) {
+        policy[key] = [...policy[key], ...layer[key]];
+      }
+    }
+    for (const key of REPLACED) {
+      if (layer[key] !== undefined) {
+        policy[key] = layer[key];
+      }
+    }
+  }
+  
+  // A later rule with the same id replaces the earlier one
+  const disabled = new Set(policy.disabledRules);
+  const latestById = (rules) => [...new Map(rules.map(rule => [rule.id, rule])).values()]
+    .filter(rule => !disabled.has(rule.id));
+  
+  policy.deny = latestById(policy.deny);
+  policy.permissionRules = latestById(policy.permissionRules);
+  return policy;
+}
+
+// Check a JSZip archive against a resolved policy. Violations reject the
+// package; warnings come from rules marked "flag".
+export function evaluatePolicy(policy, archive, manifest) {
+  const enabled = (id) => !policy.disabledRules.includes(id);
+  const violations = [];
+  const warnings = [];
+  const entries = Object.values(archive.files).filter(entry => !entry.dir);
+  const allow = policy.allow.map(globToRegExp);
+  const deny = policy.deny.map(rule => ({ ...rule, regex: globToRegExp(rule.pattern) }));
+  let totalSize = 0;
+  
+  if (enabled('maxFiles') && policy.maxFiles && entries.length > policy.maxFiles) {
+    violations.push({
+      rule: 'maxFiles',
+      file: null,
+      reason: `Too many files (${entries.length} > ${policy.maxFiles})`
+    });
+  }
+  
+  for (const entry of entries) {
+    const size = entry._data?.uncompressedSize ?? 0;
+    totalSize += size;
+    
+    if (enabled('maxFileSize') && policy.maxFileSize && size > policy.maxFileSize) {
+      violations.push({
+        rule: 'maxFileSize',
+        file: entry.name,
+        reason: `File is larger than ${policy.maxFileSize} bytes`
+      });
+    }
+    
+    const denied = deny.find(rule => rule.regex.test(entry.name));
+    if (denied) {
+      violations.push({ rule: denied.id, file: entry.name, reason: denied.reason });
+    } else if (enabled('allow') && allow.length > 0 && !allow.some(regex => regex.test(entry.name))) {
+      violations.push({
+        rule: 'allow',
+        file: entry.name,
+        reason: `File type is not allowed in ${policy.type} apps`
+      });
+    }
+  }
+  
+  if (enabled('maxPackageSize') && policy.maxPackageSize && totalSize > policy.maxPackageSize) {
+    violations.push({
+      rule: 'maxPackageSize',
+      file: null,
+      reason: `Package unpacks to more than ${policy.maxPackageSize} bytes`
+    });
+  }
+  
+  if (enabled('requiredFiles')) {
+    for (const required of policy.requiredFiles) {
+      const file = required.replace('{entryPoint}', manifest?.entryPoint || '');
+      if (file && !archive.file(file)) {
+        violations.push({ rule: 'requiredFiles', file, reason: 'Required file is missing' });
+      }
+    }
+  }
+  
+  const requested = new Set(manifest?.permissions || []);
+  for (const rule of policy.permissionRules) {
+    if (rule.permissions.every(permission => requested.has(permission))) {
+      const finding = { rule: rule.id, file: null, permissions: rule.permissions, reason: rule.reason };
+      (rule.action === 'flag' ? warnings : violations).push(finding);
+    }
+  }
+  
+  return { violations, warnings };
+}
+
+// Evaluate the current policy for the package's type. Throws PolicyError.
+export async function enforcePolicy(supabase, archive, manifest) {
+  const policy = resolvePolicy(await loadPolicy(supabase), manifest.type);
+  const result = evaluatePolicy(policy, archive, manifest);
+  
+  if (result.violations.length > 0) {
+    throw new PolicyError('Package violates the content policy', result.violations);
+  }
+  return result;
+}
+
+// Field-level problems with an admin override for `scope`
+export function validatePolicyOverride(scope, override) {
+  if (!POLICY_SCOPES.includes(scope)) {
+    return [{ field: 'scope', message: `Must be one of: ${POLICY_SCOPES.join(', ')}` }];
+  }
+  if (!override || typeof override !== 'object' || Array.isArray(override)) {
+    return [{ field: null, message: 'Policy must be a JSON object' }];
+  }
+  
+  const errors = [];
+  const known = [...ACCUMULATED, ...REPLACED];
+  
+  for (const key of Object.keys(override)) {
+    if (!known.includes(key)) {
+      errors.push({ field: key, message: 'Unknown policy setting' });
+    }
+  }
+  
+  for (const key of ['maxPackageSize', 'maxFileSize', 'maxFiles']) {
+    if (override[key] !== undefined && (!Number.isInteger(override[key]) || override[key] <= 0)) {
+      errors.push({ field: key, message: 'Must be a positive integer' });
+    }
+  }
+  
+  for (const key of ['allow', 'requiredFiles', 'disabledRules']) {
+    if (override[key] !== undefined &&
+        (!Array.isArray(override[key]) || override[key].some(value => typeof value !== 'string'))) {
+      errors.push({ field: key, message: 'Must be an array of strings' });
+    }
+  }
+  
+  for (const [index, glob] of (Array.isArray(override.allow) ? override.allow : []).entries()) {
+    try {
+      globToRegExp(glob);
+    } catch (error) {
+      errors.push({ field: `allow[${index}]`, message: error.message });
+    }
+  }
+  
+  if (override.deny !== undefined) {
+    if (!Array.isArray(override.deny)) {
+      errors.push({ field: 'deny', message: 'Must be an array of rules' });
+    } else {
+      override.deny.forEach((rule, index) => {
+        if (!rule?.id || typeof rule.pattern !== 'string' || !rule.reason) {
+          errors.push({ field: `deny[${index}]`, message: 'Needs id, pattern and reason' });
+          return;
+        }
+        try {
+          globToRegExp(rule.pattern);
+        } catch (error) {
+          errors.push({ field: `deny[${index}].pattern`, message: error.message });
+        }
+      });
+    }
+  }
+  
+  if (override.permissionRules !== undefined) {
+    if (!Array.isArray(override.permissionRules)) {
+      errors.push({ field: 'permissionRules', message: 'Must be an array of rules' });
+    } else {
+      override.permissionRules.forEach((rule, index) => {
+        if (!rule?.id || !rule.reason || !Array.isArray(rule.permissions) || rule.permissions.length === 0) {
+          errors.push({ field: `permissionRules[${index}]`, message: 'Needs id, permissions and reason' });
+          return;
+        }
+        const unknown = rule.permissions.filter(permission => !PERMISSIONS.includes(permission));
+        if (unknown.length > 0) {
+          errors.push({ field: `permissionRules[${index}].permissions`, message: `Unknown permissions: ${unknown.join(', ')}` });
+        }
+        if (rule.action !== undefined && !['deny', 'flag'].includes(rule.action)) {
+          errors.push({ field: `permissionRules[${index}].action`, message: 'Must be deny or flag' });
+        }
+      });
+    }
+  }
+  
+  return errors;
+}
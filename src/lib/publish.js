@@ -0,0 +1,618 @@
+import { NextResponse } from 'next/server';
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import os from 'os';
+import path from 'path';
+import { openArchive, closeArchive, ExtractionError } from './extract';
+import { getStorage, assetUrl, storageKeyFor, downloadToFile } from './storage';
+import {
+  readArchiveManifest,
+  compareManifests,
+  requirePackageId,
+  ManifestError,
+  MANIFEST_FILE
+} from './manifest';
+import { compareVersions } from './semver';
+import {
+  readSignatureBlock,
+  verifyPackage,
+  requiresSignature,
+  isSameOrRotatedKey,
+  SignatureError
+} from './signing';
+import { createDelta } from './delta';
+import { getDeveloper, listingOwner } from './developers';
+import { enqueue } from './queue';
+import { getAppByPackageId, listVersions, channelOf, CHANNELS, DEFAULT_CHANNEL } from './versions';
+import { enforcePolicy, PolicyError } from './policy';
+import { DEFAULT_LOCALE } from './locales';
+import {
+  processIcon,
+  processScreenshot,
+  iconUrls,
+  screenshotUrls,
+  ImageError,
+  MAX_SCREENSHOTS
+} from './images';
+
+// Publishing an uploaded package: safety and manifest checks, signature
+// verification, storage, artwork extraction, the app and version rows,
+// deltas and the scan trigger. Shared by single-request and resumable uploads, which only
+// differ in how the bytes arrive.
+export class PublishError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'PublishError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// `manifest` has already passed validateManifest; `file` is the path of the
+// package on disk, which is read an entry at a time, and `fileHash` its
+// SHA-256. `channel` is the release channel the version goes out on.
+export async function publishPackage(supabase, {
+  user,
+  manifest,
+  file,
+  fileHash,
+  fileName,
+  contentType,
+  channel = DEFAULT_CHANNEL
+}) {
+  const storage = getStorage();
+  
+  requirePackageId(manifest);
+  
+  if (!CHANNELS.includes(channel)) {
+    throw new PublishError(`Channel must be one of: ${CHANNELS.join(', ')}`, 400);
+  }
+  
+  // The same package uploaded twice
+  const { data: existingVersion } = await supabase
+    .from('app_versions')
+    .select('id, app_id, version')
+    .eq('hash', fileHash)
+    .maybeSingle();
+  
+  if (existingVersion) {
+    throw new PublishError('This package has already been uploaded', 409, {
+      appId: existingVersion.app_id,
+      version: existingVersion.version
+    });
+  }
+  
+  const developer = await getDeveloper(supabase, user.id);
+  
+  if (!developer) {
+    throw new PublishError('Register a developer account before uploading apps', 403);
+  }
+  
+  // A known package id adds a version to that app, which only its
+  // developer may do, and only with a version number higher than the
+  // channel's latest (stable hotfixes can follow a newer beta)
+  const app = await getAppByPackageId(supabase, manifest.id);
+  let latest = null;
+  
+  if (app) {
+    if (app.developer_id !== user.id) {
+      throw new PublishError(`${manifest.id} belongs to another developer`, 403);
+    }
+    
+    const versions = await listVersions(supabase, app.id);
+    
+    if (versions.some(existing => existing.version === manifest.version)) {
+      throw new PublishError(`Version ${manifest.version} already exists`, 409);
+    }
+    
+    latest = versions.find(existing => channelOf(existing) === channel) || null;
+    
+    if (latest && compareVersions(manifest.version, latest.version) <= 0) {
+      throw new PublishError(`Version must be higher than ${latest.version} on the ${channel} channel`, 409, {
+        latestVersion: latest.version,
+        channel
+      });
+    }
+  } else {
+    // Another developer's app name is not up for grabs under a new id
+    const owner = await listingOwner(supabase, manifest.name);
+    
+    if (owner && owner !== user.id) {
+      throw new PublishError(`${manifest.name} belongs to another developer`, 403);
+    }
+  }
+  
+  // Reject unsafe archives before anything is stored
+  const zipContents = await openArchive(file);
+  
+  try {
+    // The declared type decides how the package is checked and installed, so
+    // it has to match the format: APKs and only APKs are uploaded as .apk
+    const isApk = fileName.toLowerCase().endsWith('.apk');
+    
+    if ((manifest.type === 'apk') !== isApk || (isApk && !zipContents.file('AndroidManifest.xml'))) {
+      throw new ManifestError('Manifest does not match the package', [{
+        field: 'type',
+        message: isApk ? 'APK packages must declare type apk' : 'Type apk needs an .apk package'
+      }]);
+    }
+    
+    // The manifest sent with the form must be the one that gets installed.
+    // APKs without a manifest.json are described by AndroidManifest.xml.
+    if (!isApk || zipContents.file(MANIFEST_FILE)) {
+      const mismatches = compareManifests(manifest, await readArchiveManifest(zipContents));
+      
+      if (mismatches.length > 0) {
+        throw new ManifestError('Manifest does not match the package', mismatches);
+      }
+    }
+    
+    // File types, sizes and permission combinations allowed for this app type
+    const { warnings: policyWarnings } = await enforcePolicy(supabase, zipContents, manifest);
+    
+    // Web packages must be signed by a registered developer key
+    const signingKey = requiresSignature(manifest.type)
+      ? await verifyUploadSignature(supabase, zipContents, app, user)
+      : null;
+    
+    // Render store artwork up front so a bad image rejects the upload
+    const artwork = await readArtwork(zipContents, manifest);
+    
+    // Store the package
+    const storageKey = `apks/${fileHash}.${fileName.split('.').pop().toLowerCase()}`;
+    
+    await storage.put(storageKey, createReadStream(file), {
+      contentType,
+      metadata: {
+        'hash': fileHash,
+        'name': manifest.name,
+        'version': manifest.version
+      }
+    });
+    
+    // Store icons and screenshots
+    const iconKeys = {};
+    for (const [name, { buffer: iconBuffer, size }] of Object.entries(artwork.icon || {})) {
+      iconKeys[name] = `icons/${fileHash}_${size}.png`;
+      await storage.put(iconKeys[name], iconBuffer, { contentType: 'image/png' });
+    }
+    
+    const screenshots = await storeScreenshots(storage, artwork.screenshots, fileHash);
+    
+    const localeScreenshots = {};
+    for (const [locale, processed] of Object.entries(artwork.localeScreenshots)) {
+      localeScreenshots[locale] = await storeScreenshots(storage, processed, `${fileHash}_${locale}`);
+    }
+    
+    // Removed again if the listing or version cannot be written
+    const storedKeys = [
+      storageKey,
+      ...Object.values(iconKeys),
+      ...[screenshots, ...Object.values(localeScreenshots)].flat()
+        .flatMap(screenshot => [screenshot.key, screenshot.thumbnailKey])
+    ];
+    
+    // The listing is created with the first version. Later uploads only
+    // replace the artwork they ship; the rest is edited from the dashboard.
+    // The version row is written before an existing listing is changed, so a
+    // failed insert leaves the listing as it was; a new listing is removed
+    // again.
+    let listing = app;
+    
+    if (!listing) {
+      const { data, error } = await supabase
+        .from('apps')
+        .insert({
+          package_id: manifest.id,
+          name: manifest.name,
+          description: manifest.description,
+          default_locale: manifest.defaultLocale || DEFAULT_LOCALE,
+          localizations: mergeLocalizations({}, manifest, localeScreenshots),
+          categories: manifest.categories || [],
+          author: manifest.author || developer.display_name,
+          license: manifest.license,
+          icon_key: iconKeys.card || null,
+          icon_keys: iconKeys,
+          screenshot_keys: screenshots.map(screenshot => screenshot.key),
+          screenshots,
+          developer_id: user.id,
+          developer_name: developer.display_name,
+          published: true,
+          tags: [],
+          latest_version: channel === DEFAULT_CHANNEL ? manifest.version : null,
+          created_at: new Date().toISOString(),
+          downloads: 0,
+          rating: 0
+        })
+        .select()
+        .single();
+      
+      if (error) {
+        await removeObjects(storage, storedKeys);
+        throw error;
+      }
+      listing = data;
+    }
+    
+    const { data: release, error: releaseError } = await supabase
+      .from('app_versions')
+      .insert({
+        app_id: listing.id,
+        version: manifest.version,
+        type: manifest.type,
+        entry_point: manifest.entryPoint,
+        permissions: manifest.permissions || [],
+        dependencies: manifest.dependencies || {},
+        requires: manifest.requires || {},
+        services: manifest.services || [],
+        release_notes: releaseNotes(manifest, listing.default_locale),
+        channel,
+        storage_key: storageKey,
+        hash: fileHash,
+        signing_key_id: signingKey?.id || null,
+        signing_key_fingerprint: signingKey?.fingerprint || null,
+        size: (await fs.stat(file)).size,
+        verified: false, // Needs virus scan
+        status: 'pending',
+        upload_date: new Date().toISOString(),
+        downloads: 0
+      })
+      .select()
+      .single();
+    
+    if (releaseError) {
+      await removeObjects(storage, storedKeys);
+      
+      if (!app) {
+        await supabase.from('apps').delete().eq('id', listing.id);
+      }
+      throw releaseError;
+    }
+    
+    if (app) {
+      const update = {
+        name: manifest.name,
+        localizations: mergeLocalizations(listing.localizations || {}, manifest, localeScreenshots),
+        updated_at: new Date().toISOString()
+      };
+      
+      // latest_version is the newest stable release
+      if (channel === DEFAULT_CHANNEL) {
+        update.latest_version = manifest.version;
+      }
+      
+      if (artwork.icon) {
+        Object.assign(update, { icon_key: iconKeys.card, icon_keys: iconKeys });
+      }
+      if (screenshots.length > 0) {
+        Object.assign(update, {
+          screenshots,
+          screenshot_keys: screenshots.map(screenshot => screenshot.key)
+        });
+      }
+      
+      const { data, error } = await supabase
+        .from('apps')
+        .update(update)
+        .eq('id', listing.id)
+        .select()
+        .single();
+      
+      if (error) {
+        await supabase.from('app_versions').delete().eq('id', release.id);
+        await removeObjects(storage, storedKeys);
+        throw error;
+      }
+      listing = data;
+    }
+    
+    // A failed delta only costs users the full download
+    let delta = null;
+    try {
+      delta = await storeDelta(supabase, listing, release, latest, zipContents);
+    } catch (error) {
+      console.error('Delta generation error:', error);
+    }
+    
+    // Queue the virus scan; install waits for its verdict
+    const scanJob = await enqueue(supabase, 'scan', {
+      appId: listing.id,
+      versionId: release.id
+    });
+    
+    return {
+      success: true,
+      app: {
+        id: listing.id,
+        packageId: listing.package_id,
+        versionId: release.id,
+        name: listing.name,
+        version: release.version,
+        channel: release.channel,
+        icon: assetUrl(listing.icon_key),
+        icons: iconUrls(listing),
+        screenshots: screenshotUrls(listing),
+        description: listing.description,
+        developer: listing.developer_name,
+        tags: listing.tags,
+        published: listing.published,
+        signingKey: release.signing_key_fingerprint,
+        delta,
+        scanJobId: scanJob.id,
+        status: 'uploaded'
+      },
+      policyWarnings
+    };
+  } finally {
+    await closeArchive(zipContents);
+  }
+}
+
+// Response for errors publishPackage reports to the uploader, or null for
+// unexpected ones
+export function publishErrorResponse(error) {
+  if (error instanceof PublishError) {
+    return NextResponse.json(
+      { error: error.message, ...error.details },
+      { status: error.status }
+    );
+  }
+  
+  if (error instanceof ImageError) {
+    return NextResponse.json(
+      { error: error.message, file: error.file },
+      { status: 400 }
+    );
+  }
+  
+  if (error instanceof ExtractionError) {
+    return NextResponse.json(
+      { error: error.message, violations: error.violations },
+      { status: 400 }
+    );
+  }
+  
+  if (error instanceof PolicyError) {
+    return NextResponse.json(
+      { error: error.message, violations: error.violations },
+      { status: 400 }
+    );
+  }
+  
+  if (error instanceof ManifestError) {
+    return NextResponse.json(
+      { error: error.message, errors: error.errors },
+      { status: 400 }
+    );
+  }
+  
+  if (error instanceof SignatureError) {
+    return NextResponse.json(
+      { error: error.message, problems: error.problems },
+      { status: 403 }
+    );
+  }
+  
+  return null;
+}
+
+// Translated names follow the manifest like the default name does, and
+// shipped screenshots replace a locale's old ones. Descriptions only come
+// from the manifest for new translations; after that they are edited from
+// the dashboard, like the default description.
+function mergeLocalizations(current, manifest, localeScreenshots) {
+  const localizations = { ...current };
+  
+  for (const [locale, translation] of Object.entries(manifest.locales || {})) {
+    const existing = localizations[locale];
+    localizations[locale] = {
+      ...existing,
+      name: translation.name || existing?.name,
+      description: existing ? existing.description : translation.description,
+      screenshots: localeScreenshots[locale]?.length > 0
+        ? localeScreenshots[locale]
+        : existing?.screenshots || []
+    };
+  }
+  return localizations;
+}
+
+// { locale: notes } for the version row
+function releaseNotes(manifest, defaultLocale) {
+  const notes = {};
+  
+  if (manifest.releaseNotes) {
+    notes[defaultLocale || manifest.defaultLocale || DEFAULT_LOCALE] = manifest.releaseNotes;
+  }
+  for (const [locale, translation] of Object.entries(manifest.locales || {})) {
+    if (translation.releaseNotes) {
+      notes[locale] = translation.releaseNotes;
+    }
+  }
+  return notes;
+}
+
+async function removeObjects(storage, keys) {
+  for (const key of keys) {
+    await storage.delete(key);
+  }
+}
+
+// Store processed screenshots as `screenshots/{prefix}_{i}.webp` and return
+// their entries for the apps row
+async function storeScreenshots(storage, processed, prefix) {
+  const screenshots = [];
+  
+  for (const [i, { image, thumbnail }] of processed.entries()) {
+    const key = `screenshots/${prefix}_${i}.webp`;
+    const thumbnailKey = `screenshots/${prefix}_${i}_thumb.webp`;
+    
+    await storage.put(key, image.buffer, { contentType: 'image/webp' });
+    await storage.put(thumbnailKey, thumbnail.buffer, { contentType: 'image/webp' });
+    
+    screenshots.push({
+      key,
+      thumbnailKey,
+      width: image.width,
+      height: image.height,
+      thumbnailWidth: thumbnail.width,
+      thumbnailHeight: thumbnail.height
+    });
+  }
+  return screenshots;
+}
+
+// The manifest's icon, or one at a conventional path, up to
+// MAX_SCREENSHOTS images with "screenshot" in their path, and the
+// screenshots each translation lists
+async function readArtwork(archive, manifest) {
+  const iconPath = [manifest.icon, 'icon.png', 'assets/icon.png', 'res/drawable/icon.png']
+    .find(name => name && archive.file(name));
+  
+  const icon = iconPath
+    ? await processIcon(await archive.file(iconPath).async('nodebuffer'), iconPath)
+    : null;
+  
+  // Translated screenshots are not also default ones
+  const localePaths = Object.values(manifest.locales || {})
+    .flatMap(translation => translation.screenshots || []);
+  
+  const screenshotPaths = Object.values(archive.files)
+    .filter(entry => !entry.dir && entry.name.toLowerCase().includes('screenshot') &&
+      /\.(png|jpe?g|webp)$/i.test(entry.name) && !localePaths.includes(entry.name))
+    .map(entry => entry.name)
+    .sort()
+    .slice(0, MAX_SCREENSHOTS);
+  
+  const screenshots = [];
+  for (const name of screenshotPaths) {
+    screenshots.push(await processScreenshot(await archive.file(name).async('nodebuffer'), name));
+  }
+  
+  const localeScreenshots = {};
+  for (const [locale, translation] of Object.entries(manifest.locales || {})) {
+    const paths = (translation.screenshots || [])
+      .filter(path => archive.file(path))
+      .slice(0, MAX_SCREENSHOTS);
+    
+    localeScreenshots[locale] = [];
+    for (const name of paths) {
+      localeScreenshots[locale].push(await processScreenshot(await archive.file(name).async('nodebuffer'), name));
+    }
+  }
+  
+  return { icon, screenshots, localeScreenshots };
+}
+
+// `app` is the existing app this upload adds a version to, if any
+async function verifyUploadSignature(supabase, archive, app, user) {
+  const block = await readSignatureBlock(archive);
+  
+  if (!block) {
+    throw new SignatureError('Package is not signed');
+  }
+  
+  const { data: key } = await supabase
+    .from('developer_keys')
+    .select('*')
+    .eq('fingerprint', block.keyFingerprint)
+    .is('revoked_at', null)
+    .maybeSingle();
+  
+  if (!key) {
+    throw new SignatureError('Signing key is not registered or has been revoked');
+  }
+  
+  if (key.developer_id !== user.id) {
+    throw new SignatureError('Package is signed with another developer\'s key');
+  }
+  
+  await verifyPackage(archive, block, key.public_key);
+  
+  // Updates must be signed with the key of the previous version, or a key
+  // it was rotated to
+  const { data: previous } = app
+    ? await supabase
+      .from('app_versions')
+      .select('id, version, signing_key_id')
+      .eq('app_id', app.id)
+      .not('signing_key_id', 'is', null)
+      .order('upload_date', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+    : { data: null };
+  
+  if (previous && !(await isSameOrRotatedKey(supabase, previous.signing_key_id, key.id))) {
+    throw new SignatureError('Package is signed with a different key than the previous version', [
+      { reason: `Version ${previous.version} was signed with another key` }
+    ]);
+  }
+  
+  return key;
+}
+
+// Diff the new version against the previous one so upgrades can download
+// only what changed
+async function storeDelta(supabase, app, release, previous, archive) {
+  if (release.storage_key.endsWith('.apk')) {
+    return null;
+  }
+  
+  const previousKey = previous && storageKeyFor(previous);
+  
+  if (!previousKey || previousKey.endsWith('.apk')) {
+    return null;
+  }
+  
+  // The previous package is read from disk like the new one
+  const previousPath = path.join(os.tmpdir(), `delta-${previous.hash}_${release.hash}`);
+  let previousArchive = null;
+  let delta;
+  
+  try {
+    await downloadToFile(await getStorage().getStream(previousKey), previousPath);
+    previousArchive = await openArchive(previousPath);
+    delta = await createDelta(previousArchive, archive, { packageSize: release.size });
+  } finally {
+    await closeArchive(previousArchive);
+    await fs.rm(previousPath, { force: true });
+  }
+  
+  if (!delta) {
+    return null;
+  }
+  
+  const deltaKey = `deltas/${previous.hash}_${release.hash}.zip`;
+  
+  await getStorage().put(deltaKey, delta.buffer, {
+    contentType: 'application/zip',
+    metadata: {
+      'from': previous.hash,
+      'to': release.hash
+    }
+  });
+  
+  const { error } = await supabase
+    .from('app_deltas')
+    .insert({
+      app_id: app.id,
+      version_id: release.id,
+      from_version_id: previous.id,
+      from_version: previous.version,
+      from_hash: previous.hash,
+      storage_key: deltaKey,
+      hash: delta.hash,
+      size: delta.buffer.length,
+      created_at: new Date().toISOString()
+    });
+  
+  if (error) {
+    await getStorage().delete(deltaKey);
+    throw error;
+  }
+  
+  return {
+    fromVersion: previous.version,
+    size: delta.buffer.length
+  };
+}
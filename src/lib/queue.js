@@ -0,0 +1,347 @@
+import crypto from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import { scanPackage, currentEngineVersion, findOutdatedScans } from './scan';
+
+// Persistent background jobs in the queue_jobs table. Unlike the install
+// jobs in jobs.js these survive restarts: a job stays queued until a
+// worker claims it, failed attempts are retried with exponential backoff,
+// jobs left running by a worker that died are claimed again after
+// STUCK_AFTER, and jobs that run out of attempts wait for an admin to
+// requeue them. The worker starts with the server (see instrumentation.js).
+export const DEFAULT_MAX_ATTEMPTS = 5;
+export const STUCK_AFTER = 15 * 60 * 1000; // running this long means the worker died
+
+const BASE_RETRY_DELAY = 30 * 1000; // 30 seconds
+const MAX_RETRY_DELAY = 60 * 60 * 1000; // 1 hour
+const POLL_INTERVAL = 60 * 1000;
+const SWEEP_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+const SWEEP_PAGE_SIZE = 500;
+const RESCAN_SPACING = 15 * 1000; // VirusTotal's public API allows 4 lookups a minute
+
+// Job types and what runs them
+const handlers = {
+  scan: (supabase, payload) => scanPackage(supabase, payload),
+  'rescan-sweep': (supabase) => rescanSweep(supabase)
+};
+
+// Survive module reloads in development
+const worker = globalThis.__fireosQueueWorker ||
+  (globalThis.__fireosQueueWorker = { id: `worker-${crypto.randomUUID()}`, running: false, pending: false, timer: null });
+
+let client;
+
+function getClient() {
+  if (!client) {
+    client = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+  }
+  return client;
+}
+
+// `runAt` delays the job until then
+export async function enqueue(supabase, type, payload, { maxAttempts = DEFAULT_MAX_ATTEMPTS, runAt } = {}) {
+  if (!handlers[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+  
+  const now = new Date().toISOString();
+  const { data: job, error } = await supabase
+    .from('queue_jobs')
+    .insert({
+      type,
+      payload,
+      status: 'queued',
+      attempts: 0,
+      max_attempts: maxAttempts,
+      run_at: runAt ? new Date(runAt).toISOString() : now,
+      failures: [],
+      created_at: now,
+      updated_at: now
+    })
+    .select()
+    .single();
+  
+  if (error) {
+    throw error;
+  }
+  
+  startWorker();
+  return job;
+}
+
+export function retryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+}
+
+// Take the next due job, or one left running by a worker that died. The
+// status check in the update makes the claim atomic, so two workers never
+// run the same job.
+async function claimJob(supabase) {
+  const now = new Date().toISOString();
+  const stuckBefore = new Date(Date.now() - STUCK_AFTER).toISOString();
+  const { data: candidates, error } = await supabase
+    .from('queue_jobs')
+    .select('*')
+    .or(`and(status.eq.queued,run_at.lte.${now}),and(status.eq.running,locked_at.lt.${stuckBefore})`)
+    .order('run_at', { ascending: true })
+    .limit(5);
+  
+  if (error) {
+    throw error;
+  }
+  
+  for (const candidate of candidates) {
+    const update = { status: 'running', locked_by: worker.id, locked_at: now, updated_at: now };
+    
+    // The dead worker's attempt counts, so a job that keeps taking its
+    // worker down runs out of attempts like any other
+    if (candidate.status === 'running') {
+      const attempts = candidate.attempts + 1;
+      const reason = 'Worker stopped before the job finished';
+      
+      Object.assign(update, {
+        attempts,
+        failures: [...(candidate.failures || []), { attempt: attempts, error: reason, at: now }],
+        last_error: reason
+      });
+      
+      if (attempts >= candidate.max_attempts) {
+        Object.assign(update, { status: 'failed', locked_by: null, locked_at: null });
+      }
+    }
+    
+    let query = supabase
+      .from('queue_jobs')
+      .update(update)
+      .eq('id', candidate.id)
+      .eq('status', candidate.status);
+    
+    // Unless another worker reclaimed it first
+    if (candidate.status === 'running') {
+      query = query.eq('locked_at', candidate.locked_at);
+    }
+    
+    const { data: job } = await query.select().maybeSingle();
+    
+    if (job?.status === 'running') {
+      return job;
+    }
+  }
+  return null;
+}
+
+async function runJob(supabase, job) {
+  const attempts = job.attempts + 1;
+  
+  try {
+    const result = await handlers[job.type](supabase, job.payload);
+    
+    await supabase
+      .from('queue_jobs')
+      .update({
+        status: 'completed',
+        attempts,
+        result: result ?? null,
+        locked_by: null,
+        locked_at: null,
+        completed_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', job.id)
+      .eq('locked_by', worker.id);
+  } catch (error) {
+    console.error(`Queue job ${job.type} ${job.id} failed (attempt ${attempts}):`, error);
+    
+    const finalAttempt = attempts >= job.max_attempts;
+    const failures = [...(job.failures || []), {
+      attempt: attempts,
+      error: error.message,
+      at: new Date().toISOString()
+    }];
+    
+    await supabase
+      .from('queue_jobs')
+      .update({
+        status: finalAttempt ? 'failed' : 'queued',
+        attempts,
+        failures,
+        last_error: error.message,
+        run_at: new Date(Date.now() + (finalAttempt ? 0 : retryDelay(attempts))).toISOString(),
+        locked_by: null,
+        locked_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', job.id)
+      .eq('locked_by', worker.id);
+  }
+}
+
+// Run due jobs one at a time until none are left. Results of a job that
+// was requeued as stuck while it ran are dropped (see locked_by above).
+export async function drainQueue(supabase = getClient()) {
+  let processed = 0;
+  let job;
+  
+  while ((job = await claimJob(supabase))) {
+    await runJob(supabase, job);
+    processed++;
+  }
+  return processed;
+}
+
+// Start draining in the background, and keep polling for retries that
+// come due later. Safe to call repeatedly.
+export function startWorker() {
+  if (!worker.timer) {
+    worker.timer = setInterval(startWorker, POLL_INTERVAL);
+    worker.timer.unref?.();
+    
+    scheduleRescanSweep(getClient())
+      .catch(error => console.error('Rescan sweep scheduling error:', error));
+  }
+  
+  if (worker.running) {
+    worker.pending = true;
+    return;
+  }
+  
+  worker.running = true;
+  drainQueue()
+    .catch(error => console.error('Queue worker error:', error))
+    .finally(() => {
+      worker.running = false;
+      
+      // A job enqueued while the last claim came back empty
+      if (worker.pending) {
+        worker.pending = false;
+        startWorker();
+      }
+    });
+}
+
+// Put a failed or stuck job back in line with a fresh set of attempts, or
+// run a job waiting out its backoff now. Its failure history is kept.
+export async function requeueJob(supabase, jobId) {
+  const { data: job } = await supabase
+    .from('queue_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .maybeSingle();
+  
+  if (!job) {
+    return null;
+  }
+  
+  if (job.status === 'completed' || (job.status === 'running' && !isStuck(job))) {
+    return { job, requeued: false };
+  }
+  
+  const now = new Date().toISOString();
+  const { data: requeued, error } = await supabase
+    .from('queue_jobs')
+    .update({
+      status: 'queued',
+      attempts: 0,
+      run_at: now,
+      locked_by: null,
+      locked_at: null,
+      requeued_at: now,
+      updated_at: now
+    })
+    .eq('id', jobId)
+    .eq('status', job.status)
+    .select()
+    .single();
+  
+  if (error) {
+    throw error;
+  }
+  
+  startWorker();
+  return { job: requeued, requeued: true };
+}
+
+// Queue a scan of every version whose verdict predates the current engine
+// version (see scan.js). Rescans are spaced out so new uploads still get
+// scanned promptly and VirusTotal is not flooded; versions that already
+// have a scan queued are left alone. The next sweep is scheduled when this
+// one finishes.
+export async function rescanSweep(supabase) {
+  const { key, engines } = await currentEngineVersion(supabase);
+  
+  const { data: active, error } = await supabase
+    .from('queue_jobs')
+    .select('payload')
+    .eq('type', 'scan')
+    .in('status', ['queued', 'running']);
+  
+  if (error) {
+    throw error;
+  }
+  
+  const pending = new Set(active.map(job => job.payload?.versionId));
+  let queued = 0;
+  let skipped = 0;
+  let after = null;
+  let page;
+  
+  do {
+    page = await findOutdatedScans(supabase, key, { after, limit: SWEEP_PAGE_SIZE });
+    
+    for (const version of page) {
+      if (pending.has(version.id) || !version.storage_key) {
+        skipped++;
+        continue;
+      }
+      
+      await enqueue(supabase, 'scan', {
+        appId: version.app_id,
+        versionId: version.id
+      }, { runAt: Date.now() + queued * RESCAN_SPACING });
+      queued++;
+    }
+    
+    after = page[page.length - 1]?.id;
+  } while (page.length === SWEEP_PAGE_SIZE);
+  
+  await scheduleRescanSweep(supabase);
+  
+  return { engineVersion: key, engines, queued, skipped };
+}
+
+// Make sure the next sweep is queued, for a fresh database or one whose
+// last sweep ran out of attempts. With `now`, the queued sweep is brought
+// forward instead, so there is only ever one waiting.
+export async function scheduleRescanSweep(supabase, { now = false } = {}) {
+  const runAt = new Date(now ? Date.now() : Date.now() + SWEEP_INTERVAL).toISOString();
+  
+  const { data: scheduled, error } = await supabase
+    .from('queue_jobs')
+    .select('*')
+    .eq('type', 'rescan-sweep')
+    .eq('status', 'queued')
+    .limit(1)
+    .maybeSingle();
+  
+  if (error) {
+    throw error;
+  }
+  
+  if (!scheduled) {
+    return enqueue(supabase, 'rescan-sweep', {}, { runAt });
+  }
+  
+  if (now) {
+    await supabase
+      .from('queue_jobs')
+      .update({ run_at: runAt, updated_at: new Date().toISOString() })
+      .eq('id', scheduled.id)
+      .eq('status', 'queued');
+    
+    startWorker();
+  }
+  return scheduled;
+}
+
+export function isStuck(job) {
+  return job.status === 'running' && Date.now() - new Date(job.locked_at).getTime() > STUCK_AFTER;
+}
@@ -0,0 +1,146 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Disk quotas for app data. Usage is measured from each installation's
+// data and cache directories; limits come from storage_quotas rows (one
+// per user with app_id null, optionally one per app) or the defaults.
+export const DEFAULT_USER_QUOTA = Number(process.env.DEFAULT_USER_QUOTA) || 5 * 1024 * 1024 * 1024; // 5GB
+export const DEFAULT_APP_QUOTA = Number(process.env.DEFAULT_APP_QUOTA) || 1024 * 1024 * 1024; // 1GB
+
+export class QuotaExceededError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'QuotaExceededError';
+    this.details = details;
+  }
+}
+
+export async function directorySize(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return 0;
+  }
+  
+  let total = 0;
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += await directorySize(entryPath);
+    } else if (entry.isFile()) {
+      const stats = await fs.stat(entryPath);
+      total += stats.size;
+    }
+  }
+  return total;
+}
+
+export function cachePathFor(userId, appId) {
+  return `/cache/${userId}/apps/${appId}`;
+}
+
+export async function getQuotas(supabase, userId) {
+  const { data, error } = await supabase
+    .from('storage_quotas')
+    .select('app_id, limit_bytes')
+    .eq('user_id', userId);
+  
+  if (error) {
+    throw error;
+  }
+  
+  const userRow = (data || []).find(row => !row.app_id);
+  const apps = {};
+  for (const row of data || []) {
+    if (row.app_id) {
+      apps[row.app_id] = row.limit_bytes;
+    }
+  }
+  
+  return {
+    user: userRow?.limit_bytes ?? DEFAULT_USER_QUOTA,
+    app: (appId) => apps[appId] ?? DEFAULT_APP_QUOTA
+  };
+}
+
+// Usage for every installed app of a user, broken down by data and cache
+export async function getUsage(supabase, userId) {
+  const { data: installations, error } = await supabase
+    .from('installations')
+    .select('id, app_id, data_path, status, app:apps(name)')
+    .eq('user_id', userId);
+  
+  if (error) {
+    throw error;
+  }
+  
+  const apps = [];
+  const seen = new Set();
+  
+  for (const installation of installations || []) {
+    // Duplicate rows from older installs share one directory
+    if (seen.has(installation.app_id)) {
+      continue;
+    }
+    seen.add(installation.app_id);
+    
+    const dataPath = installation.data_path || `/userdata/${userId}/apps/${installation.app_id}`;
+    const cachePath = cachePathFor(userId, installation.app_id);
+    const data = await directorySize(dataPath);
+    const cache = await directorySize(cachePath);
+    
+    apps.push({
+      installationId: installation.id,
+      appId: installation.app_id,
+      name: installation.app?.name || null,
+      status: installation.status,
+      data,
+      cache,
+      total: data + cache
+    });
+  }
+  
+  return {
+    total: apps.reduce((sum, app) => sum + app.total, 0),
+    apps
+  };
+}
+
+// Throw if adding `bytes` for `appId` would exceed the user or app quota.
+// `replacedBytes` is usage that goes away at the same time (e.g. the old
+// version's files during an upgrade).
+export async function checkQuota(supabase, userId, appId, bytes, { replacedBytes = 0 } = {}) {
+  const quotas = await getQuotas(supabase, userId);
+  const usage = await getUsage(supabase, userId);
+  const appUsage = usage.apps
+    .filter(app => app.appId === appId)
+    .reduce((sum, app) => sum + app.total, 0);
+  
+  const delta = bytes - replacedBytes;
+  const appLimit = quotas.app(appId);
+  
+  if (appUsage + delta > appLimit) {
+    throw new QuotaExceededError('App storage quota exceeded', {
+      scope: 'app',
+      appId,
+      limit: appLimit,
+      used: appUsage,
+      requested: bytes
+    });
+  }
+  
+  if (usage.total + delta > quotas.user) {
+    throw new QuotaExceededError('User storage quota exceeded', {
+      scope: 'user',
+      limit: quotas.user,
+      used: usage.total,
+      requested: bytes
+    });
+  }
+  
+  return {
+    user: { limit: quotas.user, used: usage.total + delta },
+    app: { limit: appLimit, used: appUsage + delta }
+  };
+}
@@ -0,0 +1,546 @@
+import { ClamScan } from 'clamdjs';
+import fetch from 'node-fetch';
+import crypto from 'crypto';
+import net from 'net';
+import yara from 'yara';
+import { parseAndroidManifest } from './axml';
+import { openArchive, ExtractionError } from './extract';
+import { getStorage, streamToBuffer } from './storage';
+import { normalizePermissions } from './permissions';
+import { loadPolicy, resolvePolicy, evaluatePolicy } from './policy';
+
+// Package scanning: ClamAV, VirusTotal, YARA and heuristics run together
+// and the app row is marked clean or malicious. Used by the scan queue
+// worker and by POST /api/scan.
+//
+// Verdicts are cached in scan_cache by file hash and engine version, a
+// fingerprint of the ClamAV signature database, the YARA rules and the
+// heuristics (including the content policy they apply). A package scanned
+// under the same engine version is not scanned again; when any of them
+// changes, the rescan sweep in queue.js queues every version whose verdict
+// came from an older one.
+
+// Bump when heuristicAnalysis changes what it reports
+const HEURISTICS_VERSION = 2;
+
+// VirusTotal verdicts change as engines learn about new files, and it has
+// no version to key on, so cached verdicts also expire
+const CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+const CLAMAV_VERSION_TTL = 10 * 60 * 1000; // freshclam updates a few times a day
+
+const CLAMAV_HOST = process.env.CLAMAV_HOST || '127.0.0.1';
+const CLAMAV_PORT = Number(process.env.CLAMAV_PORT) || 3310;
+
+// Initialize ClamAV scanner
+const scanner = new ClamScan({
+  host: CLAMAV_HOST,
+  port: CLAMAV_PORT,
+  timeout: 30000
+});
+
+let clamavVersionCache = null;
+
+// YARA rules for custom detection
+const yaraRules = `
+rule Suspicious_APK {
+    meta:
+        description = "Detects suspicious APK patterns"
+        author = "FireOS Security"
+    strings:
+        $magic = { 50 4B 03 04 } // ZIP magic bytes
+        $manifest = "AndroidManifest.xml"
+        $dex = "classes.dex"
+        $suspicious_string = "Runtime.exec" nocase
+        $root_string = "su" nocase
+        $crypto_mining = "cryptonight" nocase
+        $spyware = "getSimSerialNumber" nocase
+    condition:
+        $magic at 0 and 
+        ($manifest or $dex) and
+        ($suspicious_string or $root_string or $crypto_mining or $spyware)
+}
+`;
+
+export class ScanUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScanUnavailableError';
+  }
+}
+
+// Scan an uploaded version and record the verdict on it. A cached verdict
+// for the same package and engine version is reused unless `force` is set.
+// Throws ScanUnavailableError when ClamAV could not be reached, so the scan
+// is retried instead of the package passing unchecked.
+export async function scanPackage(supabase, { versionId, force = false }) {
+  // The package and its hash come from the version row, which publish
+  // filled in from the uploaded bytes; callers only say which version
+  const { data: version, error: versionError } = await supabase
+    .from('app_versions')
+    .select('id, app_id, hash, storage_key, status')
+    .eq('id', versionId)
+    .maybeSingle();
+  
+  if (versionError) {
+    throw versionError;
+  }
+  
+  if (!version || !version.storage_key) {
+    throw new Error(`Version ${versionId} has no package to scan`);
+  }
+  
+  const appId = version.app_id;
+  const policyState = await loadPolicy(supabase);
+  const { key: engineVersion, engines } = await getEngineVersion(policyState);
+  
+  let hash = version.hash;
+  let cached = hash && !force ? await getCachedScan(supabase, hash, engineVersion) : null;
+  
+  if (!cached) {
+    // Download file for scanning; the verdict is cached under the hash of
+    // what was actually scanned
+    const buffer = await streamToBuffer(await getStorage().getStream(version.storage_key));
+    hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    
+    const verdict = await runEngines(buffer, hash, policyState);
+    cached = await cacheScan(supabase, { hash, engineVersion, engines, ...verdict });
+  }
+  
+  const { status, threats } = cached;
+  const results = {
+    ...cached.results,
+    cached: !cached.fresh,
+    scannedAt: cached.scanned_at,
+    engineVersion
+  };
+  
+  // Update version status in database
+  const { error } = await supabase
+    .from('app_versions')
+    .update({
+      verified: status === 'clean',
+      last_scan: new Date().toISOString(),
+      scan_results: results,
+      scan_engine_version: engineVersion,
+      threats: threats.length > 0 ? threats : null,
+      status: status
+    })
+    .eq('id', versionId);
+  
+  if (error) {
+    throw error;
+  }
+  
+  // Rescans of a version already known to be malicious do not alert again
+  if (status === 'malicious' && version.status !== 'malicious') {
+    // Log threat
+    await supabase
+      .from('threat_logs')
+      .insert({
+        app_id: appId,
+        version_id: versionId,
+        file_hash: hash,
+        threats,
+        scan_results: results,
+        detected_at: new Date().toISOString()
+      });
+    
+    // Notify admin
+    await notifyAdmin(supabase, appId, threats);
+  }
+  
+  return { status, threats, results, cached: results.cached };
+}
+
+// Multi-engine scanning of one package
+async function runEngines(buffer, fileHash, policyState) {
+  const scanResults = await Promise.allSettled([
+    scanWithClamAV(buffer),
+    scanWithVirusTotal(fileHash),
+    scanWithYARA(buffer),
+    heuristicAnalysis(buffer, policyState)
+  ]);
+  
+  // Compile results
+  const results = {
+    clamav: scanResults[0].status === 'fulfilled' ? scanResults[0].value : null,
+    virustotal: scanResults[1].status === 'fulfilled' ? scanResults[1].value : null,
+    yara: scanResults[2].status === 'fulfilled' ? scanResults[2].value : null,
+    heuristic: scanResults[3].status === 'fulfilled' ? scanResults[3].value : null,
+    overall: 'clean'
+  };
+  
+  if (!results.clamav || results.clamav.error) {
+    throw new ScanUnavailableError(`ClamAV unavailable: ${results.clamav?.error || 'no result'}`);
+  }
+  
+  // Determine overall status
+  const threats = [];
+  
+  if (results.clamav && results.clamav.is_infected) {
+    threats.push(`ClamAV: ${results.clamav.viruses.join(', ')}`);
+  }
+  
+  if (results.virustotal && results.virustotal.positives > 0) {
+    threats.push(`VirusTotal: ${results.virustotal.positives}/${results.virustotal.total} engines detected threats`);
+  }
+  
+  if (results.yara && results.yara.matches.length > 0) {
+    threats.push(`YARA: ${results.yara.matches.map(m => m.rule).join(', ')}`);
+  }
+  
+  if (results.heuristic && results.heuristic.suspicious) {
+    threats.push(`Heuristic: ${results.heuristic.reasons.join(', ')}`);
+  }
+  
+  const status = threats.length > 0 ? 'malicious' : 'clean';
+  results.overall = status;
+  
+  return { status, threats, results };
+}
+
+async function getCachedScan(supabase, fileHash, engineVersion) {
+  const { data, error } = await supabase
+    .from('scan_cache')
+    .select('*')
+    .eq('file_hash', fileHash)
+    .eq('engine_version', engineVersion)
+    .gte('scanned_at', new Date(Date.now() - CACHE_MAX_AGE).toISOString())
+    .maybeSingle();
+  
+  if (error) {
+    throw error;
+  }
+  return data && { ...data, threats: data.threats || [] };
+}
+
+async function cacheScan(supabase, { hash, engineVersion, engines, status, threats, results }) {
+  const entry = {
+    file_hash: hash,
+    engine_version: engineVersion,
+    engines,
+    status,
+    threats,
+    results,
+    scanned_at: new Date().toISOString()
+  };
+  
+  // A lost cache write only costs a repeat scan
+  const { error } = await supabase
+    .from('scan_cache')
+    .upsert(entry, { onConflict: 'file_hash,engine_version' });
+  
+  if (error) {
+    console.error('Scan cache write error:', error);
+  }
+  return { ...entry, fresh: true };
+}
+
+// The engine version verdicts are cached under: { key, engines }, where
+// `engines` names what went into the key
+export async function getEngineVersion(policyState) {
+  const engines = {
+    clamav: await clamavVersion(),
+    yara: digest(yaraRules),
+    heuristics: `${HEURISTICS_VERSION}:${digest(JSON.stringify([policyState.base, policyState.overrides]))}`
+  };
+  
+  return { key: digest(JSON.stringify(engines)), engines };
+}
+
+export async function currentEngineVersion(supabase) {
+  return getEngineVersion(await loadPolicy(supabase));
+}
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+}
+
+// Engine and signature database version from clamd, e.g. "1.0.1/26850"
+async function clamavVersion() {
+  if (clamavVersionCache && Date.now() - clamavVersionCache.checkedAt < CLAMAV_VERSION_TTL) {
+    return clamavVersionCache.version;
+  }
+  
+  let reply;
+  try {
+    reply = await clamdCommand('VERSION');
+  } catch (error) {
+    throw new ScanUnavailableError(`ClamAV unavailable: ${error.message}`);
+  }
+  
+  // "ClamAV 1.0.1/26850/Mon Mar 20 08:21:41 2023"
+  const match = reply.match(/^ClamAV ([^/]+)\/(\d+)/);
+  const version = match ? `${match[1]}/${match[2]}` : reply;
+  
+  clamavVersionCache = { version, checkedAt: Date.now() };
+  return version;
+}
+
+function clamdCommand(command) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host: CLAMAV_HOST, port: CLAMAV_PORT });
+    let reply = '';
+    
+    socket.setTimeout(5000, () => socket.destroy(new Error(`clamd ${command} timed out`)));
+    socket.on('connect', () => socket.write(`z${command}\0`));
+    socket.on('data', chunk => {
+      reply += chunk;
+    });
+    socket.on('end', () => resolve(reply.replace(/\0/g, '').trim()));
+    socket.on('error', reject);
+  });
+}
+
+// A page of versions whose verdict came from another engine version than
+// `key`: { id, app_id, hash, storage_key }. Pages by id, since versions
+// leave the result as their rescans finish.
+export async function findOutdatedScans(supabase, key, { after = null, limit = 500 } = {}) {
+  let query = supabase
+    .from('app_versions')
+    .select('id, app_id, hash, storage_key')
+    .in('status', ['clean', 'malicious'])
+    .or(`scan_engine_version.is.null,scan_engine_version.neq.${key}`)
+    .order('id', { ascending: true })
+    .limit(limit);
+  
+  if (after) {
+    query = query.gt('id', after);
+  }
+  
+  const { data, error } = await query;
+  
+  if (error) {
+    throw error;
+  }
+  return data || [];
+}
+
+async function scanWithClamAV(buffer) {
+  try {
+    // Write buffer to temp file
+    const tempFile = `/tmp/scan_${Date.now()}.tmp`;
+    require('fs').writeFileSync(tempFile, buffer);
+    
+    const result = await scanner.scanFile(tempFile);
+    
+    // Clean up
+    require('fs').unlinkSync(tempFile);
+    
+    return result;
+  } catch (error) {
+    console.error('ClamAV error:', error);
+    return { is_infected: false, error: error.message };
+  }
+}
+
+async function scanWithVirusTotal(fileHash) {
+  try {
+    const response = await fetch(`https://www.virustotal.com/api/v3/files/${fileHash}`, {
+      headers: {
+        'x-apikey': process.env.VIRUSTOTAL_API_KEY
+      }
+    });
+    
+    if (response.status === 404) {
+      // File not in VT database
+      return { positives: 0, total: 0, status: 'not_found' };
+    }
+    
+    const data = await response.json();
+    
+    return {
+      positives: data.data.attributes.last_analysis_stats.malicious,
+      total: Object.keys(data.data.attributes.last_analysis_results).length,
+      engines: data.data.attributes.last_analysis_results
+    };
+  } catch (error) {
+    console.error('VirusTotal error:', error);
+    return { positives: 0, total: 0, error: error.message };
+  }
+}
+
+async function scanWithYARA(buffer) {
+  try {
+    const compiler = new yara.Compiler();
+    await compiler.addString(yaraRules, 'fireos_rules');
+    
+    const rules = compiler.getRules();
+    const scanner = new yara.Scanner();
+    
+    const result = await scanner.scanBuffer(buffer, { rules });
+    
+    return {
+      matches: result.rules || [],
+      scanned: true
+    };
+  } catch (error) {
+    console.error('YARA error:', error);
+    return { matches: [], error: error.message };
+  }
+}
+
+async function heuristicAnalysis(buffer, policyState) {
+  const suspiciousIndicators = [];
+  
+  try {
+    // Check for APK structure; unsafe archives are suspicious on their own
+    let archive;
+    try {
+      archive = await openArchive(buffer);
+    } catch (error) {
+      if (!(error instanceof ExtractionError)) {
+        throw error;
+      }
+      
+      const offending = error.violations.map(v => `${v.entry || 'archive'} (${v.reason})`);
+      return {
+        suspicious: true,
+        reasons: [`Unsafe archive: ${offending.join(', ') || error.message}`],
+        violations: error.violations,
+        entropy: calculateEntropy(buffer)
+      };
+    }
+    
+    // 1. Check for suspicious file names
+    const files = Object.keys(archive.files);
+    const suspiciousFiles = files.filter(file => 
+      /(malware|virus|exploit|backdoor|trojan|rat|keylogger)/i.test(file) ||
+      /\.(so|dex|apk|jar)$/i.test(file) && file.includes('lib') ||
+      file.includes('META-INF') && /\.(RSA|DSA|SF)$/.test(file)
+    );
+    
+    if (suspiciousFiles.length > 0) {
+      suspiciousIndicators.push(`Suspicious files: ${suspiciousFiles.join(', ')}`);
+    }
+    
+    // 2. Check for embedded executables
+    for (const file of files) {
+      if (/\.(exe|dll|bat|sh)$/i.test(file)) {
+        suspiciousIndicators.push(`Embedded executable: ${file}`);
+      }
+    }
+    
+    // 3. Check the manifest (binary AndroidManifest.xml or FireOS manifest.json)
+    let manifest = null;
+    const androidManifestFile = archive.file('AndroidManifest.xml');
+    const manifestFile = archive.file('manifest.json');
+    
+    if (androidManifestFile) {
+      try {
+        manifest = parseAndroidManifest(await androidManifestFile.async('nodebuffer'));
+      } catch (error) {
+        suspiciousIndicators.push(`Malformed AndroidManifest.xml: ${error.message}`);
+      }
+    } else if (manifestFile) {
+      try {
+        manifest = JSON.parse(await manifestFile.async('text'));
+      } catch {
+        suspiciousIndicators.push('Malformed manifest.json');
+      }
+    }
+    
+    if (manifest) {
+      const requested = normalizePermissions(manifest.permissions);
+      
+      // Check for excessive permissions
+      const permissions = [
+        'READ_SMS', 'SEND_SMS', 'RECEIVE_SMS',
+        'ACCESS_FINE_LOCATION', 'RECORD_AUDIO',
+        'CAMERA', 'READ_CONTACTS', 'READ_CALENDAR'
+      ];
+      
+      const foundPermissions = permissions.filter(p => 
+        requested.some(permission => permission === p || permission.endsWith(`.${p}`))
+      );
+      
+      if (foundPermissions.length > 5) {
+        suspiciousIndicators.push(`Excessive permissions: ${foundPermissions.join(', ')}`);
+      }
+      
+      // Check for debuggable flag
+      if (manifest.debuggable === true) {
+        suspiciousIndicators.push('Debug mode enabled');
+      }
+    }
+    
+    // 4. Check the content policy for the package's type; uploads were
+    // checked already, but the policy may have changed since. Warnings from
+    // "flag" rules are reported without counting against the package.
+    const type = androidManifestFile ? 'apk' : manifest?.type;
+    let policyWarnings = [];
+    if (type) {
+      const { violations, warnings } = evaluatePolicy(resolvePolicy(policyState, type), archive, manifest);
+      for (const finding of violations) {
+        suspiciousIndicators.push(`Policy ${finding.rule}: ${finding.file || finding.reason}`);
+      }
+      policyWarnings = warnings;
+    }
+    
+    // 5. Check file entropy (encryption/obfuscation detection)
+    const entropy = calculateEntropy(buffer);
+    if (entropy > 7.5) { // High entropy suggests encryption
+      suspiciousIndicators.push(`High entropy detected: ${entropy.toFixed(2)}`);
+    }
+    
+    // 6. Check for known bad certificates
+    const certFile = archive.file('META-INF/CERT.RSA') || 
+                     archive.file('META-INF/CERT.DSA');
+    
+    if (certFile) {
+      const certBuffer = await certFile.async('nodebuffer');
+      const certHash = crypto.createHash('sha256').update(certBuffer).digest('hex');
+      
+      // Check against known malicious certificates
+      const knownBadCerts = require('./known_certs.json');
+      if (knownBadCerts.includes(certHash)) {
+        suspiciousIndicators.push('Known malicious certificate');
+      }
+    }
+    
+    return {
+      suspicious: suspiciousIndicators.length > 0,
+      reasons: suspiciousIndicators,
+      policyWarnings,
+      manifest,
+      entropy,
+      file_count: files.length
+    };
+    
+  } catch (error) {
+    console.error('Heuristic analysis error:', error);
+    return { suspicious: false, error: error.message };
+  }
+}
+
+function calculateEntropy(buffer) {
+  const byteCounts = new Array(256).fill(0);
+  const totalBytes = buffer.length;
+  
+  for (let i = 0; i < totalBytes; i++) {
+    byteCounts[buffer[i]]++;
+  }
+  
+  let entropy = 0;
+  for (let i = 0; i < 256; i++) {
+    if (byteCounts[i] > 0) {
+      const probability = byteCounts[i] / totalBytes;
+      entropy -= probability * Math.log2(probability);
+    }
+  }
+  
+  return entropy;
+}
+
+async function notifyAdmin(supabase, appId, threats) {
+  // Send notification to admin
+  await supabase
+    .from('admin_notifications')
+    .insert({
+      type: 'malware_detected',
+      app_id: appId,
+      threats,
+      created_at: new Date().toISOString(),
+      priority: 'high'
+    });
+}
@@ -0,0 +1,217 @@
+// Minimal semantic version helpers for app versions (MAJOR.MINOR.PATCH[-prerelease])
+
+const SEMVER_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+export function parseVersion(version) {
+  const match = String(version ?? '').trim().match(SEMVER_PATTERN);
+  if (!match) {
+    return null;
+  }
+  
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+export function isValidVersion(version) {
+  return parseVersion(version) !== null;
+}
+
+// Returns -1, 0 or 1. Throws on versions that are not valid semver.
+export function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  
+  if (!left || !right) {
+    throw new Error(`Invalid version: ${!left ? a : b}`);
+  }
+  
+  for (const part of ['major', 'minor', 'patch']) {
+    if (left[part] !== right[part]) {
+      return left[part] > right[part] ? 1 : -1;
+    }
+  }
+  
+  return comparePrerelease(left.prerelease, right.prerelease);
+}
+
+function comparePrerelease(a, b) {
+  // A release ranks above any of its prereleases
+  if (a.length === 0 || b.length === 0) {
+    return a.length === b.length ? 0 : (a.length === 0 ? 1 : -1);
+  }
+  
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    if (a[i] === b[i]) continue;
+    
+    const aNumeric = /^\d+$/.test(a[i]);
+    const bNumeric = /^\d+$/.test(b[i]);
+    
+    if (aNumeric && bNumeric) {
+      return Number(a[i]) > Number(b[i]) ? 1 : -1;
+    }
+    if (aNumeric !== bNumeric) {
+      return aNumeric ? -1 : 1;
+    }
+    return a[i] > b[i] ? 1 : -1;
+  }
+  
+  return 0;
+}
+
+// Range matching for dependency declarations. Supports exact versions,
+// comparators (>, >=, <, <=, =), caret and tilde ranges, x-ranges
+// (1.x, 1.2.*), hyphen ranges (1.0.0 - 2.0.0) and || alternatives.
+export function satisfies(version, range) {
+  const parsed = parseVersion(version);
+  if (!parsed) {
+    return false;
+  }
+  
+  return String(range ?? '*')
+    .split('||')
+    .some(set => matchesComparatorSet(version, parsed, set));
+}
+
+export function isValidRange(range) {
+  try {
+    String(range ?? '*').split('||').forEach(set => toComparators(set));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Highest version in the list that satisfies the range
+export function maxSatisfying(versions, range) {
+  return versions
+    .filter(version => satisfies(version, range))
+    .sort(compareVersions)
+    .pop() ?? null;
+}
+
+function matchesComparatorSet(version, parsed, set) {
+  let comparators;
+  try {
+    comparators = toComparators(set);
+  } catch {
+    return false;
+  }
+  
+  // Prereleases only match ranges that mention the same release
+  if (parsed.prerelease.length > 0) {
+    const base = `${parsed.major}.${parsed.minor}.${parsed.patch}`;
+    const allowed = comparators.some(({ version: bound }) => {
+      const candidate = parseVersion(bound);
+      return candidate && candidate.prerelease.length > 0 &&
+        `${candidate.major}.${candidate.minor}.${candidate.patch}` === base;
+    });
+    if (!allowed) {
+      return false;
+    }
+  }
+  
+  return comparators.every(({ operator, version: bound }) => {
+    const comparison = compareVersions(version, bound);
+    switch (operator) {
+      case '>': return comparison > 0;
+      case '>=': return comparison >= 0;
+      case '<': return comparison < 0;
+      case '<=': return comparison <= 0;
+      default: return comparison === 0;
+    }
+  });
+}
+
+// Expand one comparator set into plain { operator, version } pairs
+function toComparators(set) {
+  const trimmed = set.trim().replace(/(>=|<=|>|<|=|\^|~)\s+/g, '$1');
+  
+  if (trimmed === '' || trimmed === '*' || trimmed === 'x' || trimmed === 'latest') {
+    return [];
+  }
+  
+  const hyphen = trimmed.match(/^(\S+)\s+-\s+(\S+)$/);
+  if (hyphen) {
+    return [
+      ...expandComparator(`>=${hyphen[1]}`),
+      ...expandComparator(`<=${hyphen[2]}`)
+    ];
+  }
+  
+  return trimmed.split(/\s+/).flatMap(expandComparator);
+}
+
+function expandComparator(token) {
+  const match = token.match(/^(>=|<=|>|<|=|\^|~)?v?(.+)$/);
+  if (!match) {
+    throw new Error(`Invalid range: ${token}`);
+  }
+  
+  const operator = match[1] || '=';
+  const partial = parsePartial(match[2]);
+  const { major, minor, patch, prerelease } = partial;
+  const floor = `${major ?? 0}.${minor ?? 0}.${patch ?? 0}${prerelease ? `-${prerelease}` : ''}`;
+  
+  if (major === null) {
+    // '*' or 'x' with an operator matches everything except '<*'
+    return operator === '<' ? [{ operator: '<', version: '0.0.0-0' }] : [];
+  }
+  
+  // Upper bound for a partial version, e.g. 1.2 -> 1.3.0
+  const nextPartial = minor === null
+    ? `${major + 1}.0.0-0`
+    : `${major}.${minor + 1}.0-0`;
+  
+  switch (operator) {
+    case '^': {
+      let ceiling;
+      if (major > 0 || minor === null) {
+        ceiling = `${major + 1}.0.0-0`;
+      } else if (minor > 0 || patch === null) {
+        ceiling = `0.${minor + 1}.0-0`;
+      } else {
+        ceiling = `0.0.${patch + 1}-0`;
+      }
+      return [{ operator: '>=', version: floor }, { operator: '<', version: ceiling }];
+    }
+    case '~': {
+      const ceiling = minor === null ? `${major + 1}.0.0-0` : `${major}.${minor + 1}.0-0`;
+      return [{ operator: '>=', version: floor }, { operator: '<', version: ceiling }];
+    }
+    case '>':
+      return patch === null
+        ? [{ operator: '>=', version: nextPartial }]
+        : [{ operator: '>', version: floor }];
+    case '<=':
+      return patch === null
+        ? [{ operator: '<', version: nextPartial }]
+        : [{ operator: '<=', version: floor }];
+    case '>=':
+    case '<':
+      return [{ operator, version: floor }];
+    default:
+      return patch === null
+        ? [{ operator: '>=', version: floor }, { operator: '<', version: nextPartial }]
+        : [{ operator: '=', version: floor }];
+  }
+}
+
+function parsePartial(text) {
+  const match = text.match(/^(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?$/);
+  if (!match) {
+    throw new Error(`Invalid version in range: ${text}`);
+  }
+  
+  const part = value => (value === undefined || /^[xX*]$/.test(value) ? null : Number(value));
+  const major = part(match[1]);
+  const minor = major === null ? null : part(match[2]);
+  const patch = minor === null ? null : part(match[3]);
+  
+  return { major, minor, patch, prerelease: patch === null ? null : match[4] || null };
+}
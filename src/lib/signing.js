@@ -0,0 +1,217 @@
+import crypto from 'crypto';
+
+// Developer signatures for FireOS packages. A signed package carries a
+// signature block listing the SHA-256 of every file, signed with the
+// developer's Ed25519 key:
+//
+//   fireos-signature.json
+//   {
+//     "version": 1,
+//     "algorithm": "ed25519",
+//     "keyFingerprint": "<sha256 of the SPKI public key>",
+//     "files": { "index.html": "<sha256>", ... },
+//     "signature": "<base64 signature over the canonical payload>"
+//   }
+//
+// Android APKs carry their own signing scheme and are not signed this way.
+export const SIGNATURE_FILE = 'fireos-signature.json';
+export const KEY_ROTATION_PREFIX = 'fireos-key-rotation:';
+
+// DER prefix that turns a raw 32-byte Ed25519 key into SPKI
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+export class SignatureError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'SignatureError';
+    this.problems = problems;
+  }
+}
+
+// Accepts a PEM SPKI key or a base64 raw 32-byte Ed25519 key
+export function importPublicKey(publicKey) {
+  if (typeof publicKey !== 'string' || publicKey.trim() === '') {
+    throw new SignatureError('Public key required');
+  }
+  
+  let key;
+  try {
+    if (publicKey.includes('BEGIN PUBLIC KEY')) {
+      key = crypto.createPublicKey(publicKey);
+    } else {
+      const raw = Buffer.from(publicKey, 'base64');
+      if (raw.length !== 32) {
+        throw new Error('Raw Ed25519 keys must be 32 bytes');
+      }
+      key = crypto.createPublicKey({
+        key: Buffer.concat([ED25519_SPKI_PREFIX, raw]),
+        format: 'der',
+        type: 'spki'
+      });
+    }
+  } catch (error) {
+    throw new SignatureError(`Invalid public key: ${error.message}`);
+  }
+  
+  if (key.asymmetricKeyType !== 'ed25519') {
+    throw new SignatureError('Only Ed25519 keys are supported');
+  }
+  return key;
+}
+
+export function fingerprint(publicKey) {
+  const key = typeof publicKey === 'string' ? importPublicKey(publicKey) : publicKey;
+  return crypto
+    .createHash('sha256')
+    .update(key.export({ format: 'der', type: 'spki' }))
+    .digest('hex');
+}
+
+export function exportPublicKey(key) {
+  return key.export({ format: 'pem', type: 'spki' }).toString();
+}
+
+// The bytes that get signed: the block without its signature, keys sorted
+function canonicalPayload({ version, algorithm, keyFingerprint, files }) {
+  const sortedFiles = {};
+  for (const name of Object.keys(files || {}).sort()) {
+    sortedFiles[name] = files[name];
+  }
+  return Buffer.from(JSON.stringify({ version, algorithm, keyFingerprint, files: sortedFiles }));
+}
+
+export function verifyDetached(publicKey, message, signature) {
+  try {
+    return crypto.verify(
+      null,
+      Buffer.isBuffer(message) ? message : Buffer.from(message),
+      typeof publicKey === 'string' ? importPublicKey(publicKey) : publicKey,
+      Buffer.from(signature, 'base64')
+    );
+  } catch {
+    return false;
+  }
+}
+
+// SHA-256 of every file in a JSZip archive, except the signature block
+export async function hashArchiveFiles(archive) {
+  const hashes = {};
+  
+  for (const entry of Object.values(archive.files)) {
+    if (entry.dir || entry.name === SIGNATURE_FILE) {
+      continue;
+    }
+    const content = await entry.async('nodebuffer');
+    hashes[entry.name] = crypto.createHash('sha256').update(content).digest('hex');
+  }
+  return hashes;
+}
+
+// Build the signature block for an archive; used by packaging tools
+export async function createSignatureBlock(archive, privateKey) {
+  const key = typeof privateKey === 'string' ? crypto.createPrivateKey(privateKey) : privateKey;
+  const block = {
+    version: 1,
+    algorithm: 'ed25519',
+    keyFingerprint: fingerprint(crypto.createPublicKey(key)),
+    files: await hashArchiveFiles(archive)
+  };
+  
+  block.signature = crypto.sign(null, canonicalPayload(block), key).toString('base64');
+  return block;
+}
+
+export async function readSignatureBlock(archive) {
+  const file = archive.file(SIGNATURE_FILE);
+  if (!file) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(await file.async('text'));
+  } catch {
+    throw new SignatureError('Signature block is not valid JSON');
+  }
+}
+
+// Check that the block covers every file with matching hashes and that the
+// signature verifies against the given key. Throws SignatureError.
+export async function verifyPackage(archive, block, publicKey) {
+  if (!block) {
+    throw new SignatureError('Package is not signed');
+  }
+  
+  if (block.version !== 1 || block.algorithm !== 'ed25519' || !block.signature) {
+    throw new SignatureError('Unsupported signature block');
+  }
+  
+  const key = typeof publicKey === 'string' ? importPublicKey(publicKey) : publicKey;
+  
+  if (block.keyFingerprint !== fingerprint(key)) {
+    throw new SignatureError('Signature block names a different key');
+  }
+  
+  if (!verifyDetached(key, canonicalPayload(block), block.signature)) {
+    throw new SignatureError('Signature does not verify');
+  }
+  
+  const actual = await hashArchiveFiles(archive);
+  const signed = block.files || {};
+  const problems = [];
+  
+  for (const [name, hash] of Object.entries(actual)) {
+    if (!(name in signed)) {
+      problems.push({ file: name, reason: 'Not covered by signature' });
+    } else if (signed[name] !== hash) {
+      problems.push({ file: name, reason: 'Hash mismatch' });
+    }
+  }
+  for (const name of Object.keys(signed)) {
+    if (!(name in actual)) {
+      problems.push({ file: name, reason: 'Signed file missing from package' });
+    }
+  }
+  
+  if (problems.length > 0) {
+    throw new SignatureError('Package contents do not match signature', problems);
+  }
+  
+  return { keyFingerprint: block.keyFingerprint, files: Object.keys(actual).length };
+}
+
+// Android APKs are signed with Android's own scheme; every other app type
+// needs a developer signature. This goes by the declared manifest type,
+// which publish checks against the package format, and not by which files
+// an archive happens to contain.
+export function requiresSignature(type) {
+  return type !== 'apk';
+}
+
+// Whether `toKeyId` is `fromKeyId` or reachable from it through recorded
+// key rotations
+export async function isSameOrRotatedKey(supabase, fromKeyId, toKeyId) {
+  const visited = new Set();
+  let frontier = [fromKeyId];
+  
+  while (frontier.length > 0) {
+    if (frontier.includes(toKeyId)) {
+      return true;
+    }
+    frontier.forEach(id => visited.add(id));
+    
+    const { data, error } = await supabase
+      .from('key_rotations')
+      .select('to_key_id')
+      .in('from_key_id', frontier);
+    
+    if (error) {
+      throw error;
+    }
+    
+    frontier = (data || [])
+      .map(row => row.to_key_id)
+      .filter(id => !visited.has(id));
+  }
+  
+  return false;
+}
@@ -0,0 +1,253 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand
+} from '@aws-sdk/client-s3';
+import { getSignedUrl as getS3SignedUrl } from '@aws-sdk/s3-request-presigner';
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Blob storage for packages, icons and screenshots. Apps store storage
+// keys; URLs are produced on demand by the active driver.
+//
+// Drivers share one interface:
+//   put(key, body, { contentType, metadata })
+//   getStream(key)            -> readable stream
+//   head(key)                 -> { size, contentType, metadata } or null
+//   delete(key)
+//   getSignedUrl(key, { expiresIn })
+
+// Key prefixes that may be served without a signature (store artwork)
+const PUBLIC_PREFIXES = ['icons/', 'screenshots/'];
+
+let storage;
+
+export function getStorage() {
+  if (!storage) {
+    storage = process.env.STORAGE_DRIVER === 'local'
+      ? createLocalStorage({ root: process.env.STORAGE_LOCAL_ROOT || '/var/lib/fireos/storage' })
+      : createS3Storage({ bucket: process.env.S3_BUCKET });
+  }
+  return storage;
+}
+
+export function createS3Storage({ bucket, client }) {
+  const s3Client = client || new S3Client({
+    region: process.env.AWS_REGION,
+    credentials: {
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+    }
+  });
+  
+  return {
+    driver: 's3',
+    
+    async put(key, body, { contentType, metadata } = {}) {
+      await s3Client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        Metadata: metadata
+      }));
+      return { key };
+    },
+    
+    async getStream(key) {
+      const { Body } = await s3Client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: key
+      }));
+      return Body;
+    },
+    
+    async head(key) {
+      try {
+        const result = await s3Client.send(new HeadObjectCommand({
+          Bucket: bucket,
+          Key: key
+        }));
+        return {
+          size: result.ContentLength,
+          contentType: result.ContentType,
+          metadata: result.Metadata || {}
+        };
+      } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+    
+    async delete(key) {
+      await s3Client.send(new DeleteObjectCommand({
+        Bucket: bucket,
+        Key: key
+      }));
+    },
+    
+    async getSignedUrl(key, { expiresIn = 3600 } = {}) {
+      return getS3SignedUrl(
+        s3Client,
+        new GetObjectCommand({ Bucket: bucket, Key: key }),
+        { expiresIn }
+      );
+    }
+  };
+}
+
+export function createLocalStorage({ root, baseUrl = '/api/storage' }) {
+  const rootDir = path.resolve(root);
+  
+  // Fail at startup rather than on the first download
+  signingSecret();
+  
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+  
+  // Metadata lives next to the object
+  const metaPath = (key) => `${resolveKey(key)}.meta.json`;
+  
+  return {
+    driver: 'local',
+    
+    async put(key, body, { contentType, metadata } = {}) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, body);
+      await fs.writeFile(metaPath(key), JSON.stringify({
+        contentType: contentType || 'application/octet-stream',
+        metadata: metadata || {}
+      }));
+      return { key };
+    },
+    
+    async getStream(key) {
+      const filePath = resolveKey(key);
+      await fs.access(filePath);
+      return createReadStream(filePath);
+    },
+    
+    async head(key) {
+      try {
+        const stats = await fs.stat(resolveKey(key));
+        let meta = {};
+        try {
+          meta = JSON.parse(await fs.readFile(metaPath(key), 'utf8'));
+        } catch {
+          // Objects written without metadata
+        }
+        return {
+          size: stats.size,
+          contentType: meta.contentType || 'application/octet-stream',
+          metadata: meta.metadata || {}
+        };
+      } catch {
+        return null;
+      }
+    },
+    
+    async delete(key) {
+      await fs.rm(resolveKey(key), { force: true });
+      await fs.rm(metaPath(key), { force: true });
+    },
+    
+    async getSignedUrl(key, { expiresIn = 3600 } = {}) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const signature = signKey(key, expires);
+      const params = new URLSearchParams({ key, expires: String(expires), signature });
+      return `${baseUrl}?${params}`;
+    }
+  };
+}
+
+// Signed URLs are only as good as their secret; refuse to sign or check
+// them without one
+function signingSecret() {
+  const secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+  
+  if (!secret) {
+    throw new Error('STORAGE_SIGNING_SECRET or JWT_SECRET must be set to sign storage URLs');
+  }
+  return secret;
+}
+
+export function signKey(key, expires) {
+  return crypto
+    .createHmac('sha256', signingSecret())
+    .update(`${key}:${expires}`)
+    .digest('hex');
+}
+
+export function verifySignature(key, expires, signature) {
+  if (!signature || !expires || Number(expires) < Date.now() / 1000) {
+    return false;
+  }
+  
+  const expected = Buffer.from(signKey(key, expires), 'hex');
+  const provided = Buffer.from(String(signature), 'hex');
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+export function isPublicKey(key) {
+  return PUBLIC_PREFIXES.some(prefix => key.startsWith(prefix)) && !key.includes('..');
+}
+
+// Stable URL for store artwork, served through /api/storage
+export function assetUrl(key) {
+  return key ? `/api/storage?key=${encodeURIComponent(key)}` : null;
+}
+
+// Apps uploaded before storage keys were recorded only have a public S3 URL
+export function storageKeyFor(app) {
+  if (app.storage_key) {
+    return app.storage_key;
+  }
+  return app.download_url?.split('.s3.amazonaws.com/')[1] || null;
+}
+
+export async function streamToBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Stream an object to disk, reporting bytes received. Stops early when the
+// signal is aborted. Resolves with the size and SHA-256 of what was
+// written, so callers need not read the file back to check it.
+export async function downloadToFile(stream, filePath, { signal, onProgress } = {}) {
+  const handle = await fs.open(filePath, 'w');
+  const hash = crypto.createHash('sha256');
+  let received = 0;
+  
+  try {
+    for await (const chunk of stream) {
+      if (signal?.aborted) {
+        throw signal.reason || new Error('Download cancelled');
+      }
+      
+      await handle.write(chunk);
+      hash.update(chunk);
+      received += chunk.length;
+      onProgress?.(received);
+    }
+  } finally {
+    await handle.close();
+    stream.destroy?.();
+  }
+  
+  return { size: received, hash: hash.digest('hex') };
+}
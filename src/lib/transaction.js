@@ -0,0 +1,59 @@
+// Runs a sequence of named steps and remembers how to undo each completed
+// one. Supabase gives us no multi-statement transactions from the client,
+// so installs compensate step by step instead.
+//
+// An AbortSignal cancels the transaction before its next step; onProgress
+// is told about every step and any progress reported from inside one.
+export function createTransaction({ signal, onProgress } = {}) {
+  const completed = [];
+  
+  const transaction = {
+    currentStep: null,
+    signal,
+    
+    async step(name, run, undo) {
+      transaction.checkpoint();
+      transaction.currentStep = name;
+      onProgress?.(name, {});
+      
+      const result = await run();
+      
+      if (undo) {
+        completed.push({ name, undo: () => undo(result) });
+      }
+      return result;
+    },
+    
+    // Report progress within the current step
+    progress(data) {
+      onProgress?.(transaction.currentStep, data);
+    },
+    
+    checkpoint() {
+      if (signal?.aborted) {
+        throw signal.reason || new Error('Transaction cancelled');
+      }
+    },
+    
+    // Undo completed steps in reverse order. Keeps going when an undo
+    // fails so as much as possible is cleaned up.
+    async rollback() {
+      const undone = [];
+      const failed = [];
+      
+      while (completed.length > 0) {
+        const { name, undo } = completed.pop();
+        try {
+          await undo();
+          undone.push(name);
+        } catch (error) {
+          failed.push({ step: name, error: error.message });
+        }
+      }
+      
+      return { undone, failed };
+    }
+  };
+  
+  return transaction;
+}
@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import { createWriteStream } from 'fs';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { getStorage } from './storage';
+import { createSha256 } from './sha256';
+
+// Resumable uploads. Each chunk is stored as its own object under uploads/
+// through the storage driver, so any instance can take the next chunk or
+// finalize. upload_sessions.parts lists the stored chunks in order and
+// `received` is the authoritative offset; a chunk only counts once the
+// session row has been moved forward from the offset it was written for.
+// The SHA-256 is carried forward in hash_state the same way, so finalizing
+// never reads the package back to hash it.
+export const UPLOAD_PREFIX = 'uploads/';
+export const CHUNK_SIZE = 5 * 1024 * 1024; // 5MB
+export const MAX_UPLOAD_SIZE = 100 * 1024 * 1024; // 100MB, as in the store client
+export const UPLOAD_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+export class UploadError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Racing writes for the same offset get their own objects; the loser
+// deletes its copy
+function partKey(uploadId, offset) {
+  return `${UPLOAD_PREFIX}${uploadId}/${String(offset).padStart(12, '0')}-${crypto.randomUUID()}.part`;
+}
+
+// Store one chunk at `offset`. Chunks must arrive in order; a chunk for the
+// wrong offset is refused with the offset the client should resume from.
+// Returns the new offset.
+export async function appendChunk(supabase, upload, offset, body) {
+  if (offset !== upload.received) {
+    throw new UploadError('Chunk does not start at the current offset', 409, { offset: upload.received });
+  }
+  
+  // One chunk is held in memory at a time
+  const hash = createSha256(upload.hash_state);
+  const chunks = [];
+  let length = 0;
+  
+  for await (const chunk of Readable.fromWeb(body)) {
+    length += chunk.length;
+    
+    if (offset + length > upload.size) {
+      throw new UploadError('Chunk extends past the declared upload size', 413, { size: upload.size });
+    }
+    if (length > CHUNK_SIZE) {
+      throw new UploadError('Chunk is larger than the chunk size', 413, { chunkSize: CHUNK_SIZE });
+    }
+    
+    hash.update(chunk);
+    chunks.push(chunk);
+  }
+  
+  if (length === 0) {
+    throw new UploadError('Chunk is empty', 400, { offset });
+  }
+  
+  const storage = getStorage();
+  const key = partKey(upload.id, offset);
+  
+  await storage.put(key, Buffer.concat(chunks, length), { contentType: 'application/octet-stream' });
+  
+  const { data: updated, error } = await supabase
+    .from('upload_sessions')
+    .update({
+      received: offset + length,
+      parts: [...(upload.parts || []), { key, offset, size: length }],
+      hash_state: hash.state(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', upload.id)
+    .eq('status', 'uploading')
+    .eq('received', offset)
+    .select('received')
+    .maybeSingle();
+  
+  if (error || !updated) {
+    await storage.delete(key);
+    
+    if (error) {
+      throw error;
+    }
+    throw new UploadError('Another chunk was stored at this offset', 409, { offset: await currentOffset(supabase, upload.id) });
+  }
+  
+  return updated.received;
+}
+
+async function currentOffset(supabase, uploadId) {
+  const { data } = await supabase
+    .from('upload_sessions')
+    .select('received')
+    .eq('id', uploadId)
+    .maybeSingle();
+  
+  return data?.received ?? 0;
+}
+
+// The stored chunks of a complete upload, in order, as one stream
+export function readUpload(upload) {
+  const parts = [...(upload.parts || [])].sort((a, b) => a.offset - b.offset);
+  let expected = 0;
+  
+  for (const part of parts) {
+    if (part.offset !== expected) {
+      throw new UploadError('Upload is missing chunks', 409, { offset: expected });
+    }
+    expected += part.size;
+  }
+  
+  if (expected !== upload.size) {
+    throw new UploadError('Upload is incomplete', 409, { offset: expected, size: upload.size });
+  }
+  
+  const storage = getStorage();
+  
+  return Readable.from((async function* () {
+    for (const part of parts) {
+      yield* await storage.getStream(part.key);
+    }
+  })());
+}
+
+// SHA-256 of a complete upload, from the state its chunks left behind
+export function uploadHash(upload) {
+  if (upload.hash_state?.length !== upload.size) {
+    throw new UploadError('Upload is incomplete', 409, { offset: upload.received, size: upload.size });
+  }
+  return createSha256(upload.hash_state).digest();
+}
+
+// Copy a complete upload to a local file, for reading as an archive
+export async function writeUpload(upload, filePath) {
+  await pipeline(readUpload(upload), createWriteStream(filePath));
+}
+
+export async function removeUpload(upload) {
+  const storage = getStorage();
+  
+  for (const part of upload.parts || []) {
+    await storage.delete(part.key);
+  }
+}
@@ -0,0 +1,151 @@
+import { compareVersions } from './semver';
+import { storageKeyFor } from './storage';
+
+// An app is one store listing identified by the manifest's `id`
+// ("com.example.notes"); every upload adds a row to app_versions. Routes
+// work with a merged view of the two: the version's package fields with
+// the app's identity and listing on top, so `app.id` is always the stable
+// app id and `app.version_id` the version being installed.
+//
+// Each version is released on a channel. Channels are ordered from most to
+// least stable, and a channel also gets every more stable channel's
+// versions: beta users get a stable release that is newer than the latest
+// beta. Versions from before channels existed are stable.
+//
+// Apps uploaded before versions were tracked have no package id and no
+// app_versions rows; their one version is read from the apps row itself
+// (see legacyVersion) and has no version id.
+export const CHANNELS = ['stable', 'beta', 'nightly'];
+export const DEFAULT_CHANNEL = 'stable';
+
+export function channelOf(version) {
+  return version.channel || DEFAULT_CHANNEL;
+}
+
+// Whether users on `channel` get this version
+export function onChannel(version, channel = DEFAULT_CHANNEL) {
+  return CHANNELS.indexOf(channelOf(version)) <= CHANNELS.indexOf(channel);
+}
+
+export function mergeVersion(app, release) {
+  return {
+    ...release,
+    ...app,
+    id: app.id,
+    version_id: release.id,
+    version_downloads: release.downloads || 0
+  };
+}
+
+export async function getApp(supabase, appId) {
+  const { data, error } = await supabase
+    .from('apps')
+    .select('*')
+    .eq('id', appId)
+    .maybeSingle();
+  
+  if (error) {
+    throw error;
+  }
+  return data;
+}
+
+export async function getAppByPackageId(supabase, packageId) {
+  const { data, error } = await supabase
+    .from('apps')
+    .select('*')
+    .eq('package_id', packageId)
+    .maybeSingle();
+  
+  if (error) {
+    throw error;
+  }
+  return data;
+}
+
+// Versions of one or more apps, newest version first. `channel` limits them
+// to what users on that channel get.
+export async function listVersions(supabase, appIds, { verifiedOnly = false, channel } = {}) {
+  let query = supabase
+    .from('app_versions')
+    .select('*')
+    .in('app_id', [].concat(appIds));
+  
+  if (verifiedOnly) {
+    query = query.eq('verified', true);
+  }
+  
+  const { data, error } = await query;
+  
+  if (error) {
+    throw error;
+  }
+  
+  const found = new Set((data || []).map(version => version.app_id));
+  const missing = [].concat(appIds).filter(appId => !found.has(appId));
+  const legacy = (missing.length > 0 ? await legacyVersions(supabase, missing) : [])
+    .filter(version => !verifiedOnly || version.verified);
+  
+  const all = [...(data || []), ...legacy];
+  const versions = channel ? all.filter(version => onChannel(version, channel)) : all;
+  return sortVersions(versions);
+}
+
+// The version an apps row from before app_versions describes
+export function legacyVersion(app) {
+  return {
+    id: null,
+    app_id: app.id,
+    version: app.version,
+    type: app.type,
+    entry_point: app.entry_point,
+    permissions: app.permissions || [],
+    dependencies: app.dependencies || {},
+    channel: DEFAULT_CHANNEL,
+    storage_key: storageKeyFor(app),
+    hash: app.hash,
+    size: app.size,
+    verified: app.verified === true,
+    status: app.status,
+    threats: app.threats || null,
+    upload_date: app.upload_date,
+    downloads: app.downloads || 0,
+    legacy: true
+  };
+}
+
+async function legacyVersions(supabase, appIds) {
+  const { data, error } = await supabase
+    .from('apps')
+    .select('*')
+    .in('id', appIds)
+    .is('package_id', null)
+    .not('version', 'is', null);
+  
+  if (error) {
+    throw error;
+  }
+  return (data || []).map(legacyVersion);
+}
+
+export function sortVersions(versions) {
+  return [...versions].sort((a, b) => compareVersions(b.version, a.version));
+}
+
+// The version to install: the pinned one if asked for, otherwise the
+// newest on `channel` that passed its scan. Null when the app does not
+// exist; `release` is null when no version qualifies.
+export async function resolveVersion(supabase, appId, { version, channel = DEFAULT_CHANNEL } = {}) {
+  const app = await getApp(supabase, appId);
+  
+  if (!app) {
+    return null;
+  }
+  
+  const versions = await listVersions(supabase, app.id);
+  const release = version
+    ? versions.find(candidate => candidate.version === version)
+    : versions.find(candidate => candidate.verified && onChannel(candidate, channel));
+  
+  return { app, versions, release: release || null };
+}